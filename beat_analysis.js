@@ -0,0 +1,377 @@
+// beat_analysis.js - Handles offline tempo, beat and onset detection for tracks
+// The track's audio is decoded with Web Audio and analysed once, then the beat map is cached
+// per track so bullets, enemy crouches and visual pulses can land on the music
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the analysis
+    const analysisConfig = {
+        version: 1,                 // Bump to invalidate cached beat maps when the analysis changes
+        cacheKeyPrefix: 'synthpocalypse-beats:', // localStorage key prefix (followed by the track id)
+        sampleRate: 11025,          // Audio is mixed to mono and resampled to this rate before analysis
+        fftSize: 512,               // Samples per analysis frame
+        hopSize: 128,               // Samples between frames (~11.6ms)
+        minBpm: 60,                 // Slowest tempo considered
+        maxBpm: 180,                // Fastest tempo considered
+        preferredBpm: 120,          // Centre of the tempo prior (ambiguous tempos lean towards this)
+        tempoSpread: 1.0,           // Width of the tempo prior in octaves
+        tightness: 100,             // How strongly beats are held to the detected tempo
+        onsetThreshold: 0.5,        // Onsets must rise this far (in standard deviations) above the local mean
+        onsetWindow: 16,            // Frames either side used for the local mean
+        minOnsetGap: 0.05           // Minimum seconds between onsets
+    };
+
+    // Beat maps by track id, and analyses currently running
+    const beatMaps = {};
+    const pendingAnalyses = {};
+
+    // Round a time to the millisecond to keep cached maps small
+    function roundTime(time) {
+        return Math.round(time * 1000) / 1000;
+    }
+
+    // In-place radix-2 FFT of real/imaginary arrays (length must be a power of two)
+    function fft(real, imag) {
+        const n = real.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const step = -2 * Math.PI / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < size / 2; k++) {
+                    const cos = Math.cos(step * k);
+                    const sin = Math.sin(step * k);
+                    const evenIndex = start + k;
+                    const oddIndex = evenIndex + size / 2;
+                    const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+                    const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+                    real[oddIndex] = real[evenIndex] - oddReal;
+                    imag[oddIndex] = imag[evenIndex] - oddImag;
+                    real[evenIndex] += oddReal;
+                    imag[evenIndex] += oddImag;
+                }
+            }
+        }
+    }
+
+    // Onset strength per frame: rise in log spectral magnitude (spectral flux), normalized
+    function computeOnsetEnvelope(samples) {
+        const { fftSize, hopSize } = analysisConfig;
+        const frameCount = Math.max(0, Math.floor((samples.length - fftSize) / hopSize) + 1);
+        const bins = fftSize / 2;
+
+        const window = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize); // Hann window
+        }
+
+        const envelope = new Float32Array(frameCount);
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+        let previous = new Float32Array(bins);
+        let current = new Float32Array(bins);
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const offset = frame * hopSize;
+            for (let i = 0; i < fftSize; i++) {
+                real[i] = samples[offset + i] * window[i];
+                imag[i] = 0;
+            }
+            fft(real, imag);
+
+            let flux = 0;
+            for (let k = 1; k < bins; k++) {
+                current[k] = Math.log(1 + 100 * Math.sqrt(real[k] * real[k] + imag[k] * imag[k]));
+                if (frame > 0 && current[k] > previous[k]) {
+                    flux += current[k] - previous[k];
+                }
+            }
+            envelope[frame] = flux;
+
+            [previous, current] = [current, previous];
+        }
+
+        // Normalize to unit standard deviation so the thresholds don't depend on loudness
+        let mean = 0;
+        for (let i = 0; i < frameCount; i++) mean += envelope[i];
+        mean /= frameCount || 1;
+
+        let variance = 0;
+        for (let i = 0; i < frameCount; i++) variance += (envelope[i] - mean) * (envelope[i] - mean);
+        const deviation = Math.sqrt(variance / (frameCount || 1)) || 1;
+
+        for (let i = 0; i < frameCount; i++) {
+            envelope[i] /= deviation;
+        }
+
+        return envelope;
+    }
+
+    // Frames per second of the onset envelope
+    function getFrameRate() {
+        return analysisConfig.sampleRate / analysisConfig.hopSize;
+    }
+
+    // Time (seconds) at the centre of a frame
+    function frameToTime(frame) {
+        return (frame * analysisConfig.hopSize + analysisConfig.fftSize / 2) / analysisConfig.sampleRate;
+    }
+
+    // Estimate the beat period (in frames) by autocorrelating the envelope, weighted by a tempo prior
+    function estimatePeriod(envelope) {
+        const frameRate = getFrameRate();
+        const minLag = Math.floor(frameRate * 60 / analysisConfig.maxBpm);
+        const maxLag = Math.ceil(frameRate * 60 / analysisConfig.minBpm);
+
+        let bestLag = Math.round(frameRate * 60 / analysisConfig.preferredBpm);
+        let bestScore = -Infinity;
+
+        for (let lag = minLag; lag <= maxLag && lag < envelope.length; lag++) {
+            let sum = 0;
+            for (let i = lag; i < envelope.length; i++) {
+                sum += envelope[i] * envelope[i - lag];
+            }
+
+            const bpm = frameRate * 60 / lag;
+            const octaves = Math.log2(bpm / analysisConfig.preferredBpm) / analysisConfig.tempoSpread;
+            const score = sum / (envelope.length - lag) * Math.exp(-0.5 * octaves * octaves);
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+
+        return bestLag;
+    }
+
+    // Pick beat frames with dynamic programming: each beat is rewarded for onset strength and
+    // penalized for straying from the beat period since the previous beat
+    function trackBeats(envelope, period) {
+        const count = envelope.length;
+        const score = new Float32Array(count);
+        const backlink = new Int32Array(count).fill(-1);
+        const minGap = Math.max(1, Math.round(period / 2));
+        const maxGap = Math.round(period * 2);
+
+        for (let t = 0; t < count; t++) {
+            let bestPrevious = -1;
+            let bestValue = -Infinity;
+
+            for (let previous = Math.max(0, t - maxGap); previous <= t - minGap; previous++) {
+                const stretch = Math.log((t - previous) / period);
+                const value = score[previous] - analysisConfig.tightness * stretch * stretch;
+                if (value > bestValue) {
+                    bestValue = value;
+                    bestPrevious = previous;
+                }
+            }
+
+            score[t] = envelope[t] + Math.max(0, bestValue);
+            backlink[t] = bestValue > 0 ? bestPrevious : -1;
+        }
+
+        // Start from the best-scoring frame within the last beat period and walk back
+        let last = count - 1;
+        for (let t = Math.max(0, count - Math.round(period)); t < count; t++) {
+            if (score[t] > score[last]) {
+                last = t;
+            }
+        }
+
+        const frames = [];
+        for (let t = last; t >= 0; t = backlink[t]) {
+            frames.push(t);
+        }
+        return frames.reverse();
+    }
+
+    // Pick onsets as local peaks that stand out from the surrounding envelope
+    function pickOnsets(envelope) {
+        const onsets = [];
+        const window = analysisConfig.onsetWindow;
+        let peak = 0;
+        for (let i = 0; i < envelope.length; i++) peak = Math.max(peak, envelope[i]);
+
+        let lastOnsetTime = -Infinity;
+        for (let i = 1; i < envelope.length - 1; i++) {
+            if (envelope[i] < envelope[i - 1] || envelope[i] < envelope[i + 1]) continue;
+
+            let mean = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - window); j <= Math.min(envelope.length - 1, i + window); j++) {
+                mean += envelope[j];
+                count++;
+            }
+            mean /= count;
+
+            const time = frameToTime(i);
+            if (envelope[i] - mean >= analysisConfig.onsetThreshold && time - lastOnsetTime >= analysisConfig.minOnsetGap) {
+                onsets.push({ time: roundTime(time), strength: Math.round((envelope[i] / (peak || 1)) * 100) / 100 });
+                lastOnsetTime = time;
+            }
+        }
+
+        return onsets;
+    }
+
+    // Detect tempo, beats and onsets from mono samples at the analysis sample rate
+    // options.bpm fixes the tempo instead of estimating it
+    function detectFromSamples(samples, options = {}) {
+        const envelope = computeOnsetEnvelope(samples);
+        const frameRate = getFrameRate();
+
+        const period = options.bpm > 0 ? frameRate * 60 / options.bpm : estimatePeriod(envelope);
+        const beatFrames = envelope.length > 0 ? trackBeats(envelope, period) : [];
+
+        // Report the tempo from the tracked beats (the autocorrelation lag is only frame-accurate)
+        const span = beatFrames.length > 1 ? beatFrames[beatFrames.length - 1] - beatFrames[0] : 0;
+        const beatPeriod = span > 0 ? span / (beatFrames.length - 1) : period;
+
+        return {
+            bpm: Math.round(frameRate * 60 / beatPeriod * 10) / 10,
+            beats: beatFrames.map(frame => roundTime(frameToTime(frame))),
+            onsets: pickOnsets(envelope),
+            duration: roundTime(samples.length / analysisConfig.sampleRate)
+        };
+    }
+
+    // Mix a decoded buffer down to mono at the analysis sample rate
+    function resampleToMono(audioBuffer) {
+        const length = Math.ceil(audioBuffer.duration * analysisConfig.sampleRate);
+        const offline = new OfflineAudioContext(1, length, analysisConfig.sampleRate);
+        const source = offline.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(offline.destination);
+        source.start(0);
+        return offline.startRendering().then(rendered => rendered.getChannelData(0));
+    }
+
+    // Decode a track's audio file
+    function decodeAudio(src) {
+        return fetch(src)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load audio ${src}: HTTP ${response.status}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(data => {
+                // A throwaway offline context is enough for decoding and needs no user gesture
+                const decoder = new OfflineAudioContext(1, 1, analysisConfig.sampleRate);
+                return new Promise((resolve, reject) => decoder.decodeAudioData(data, resolve, reject));
+            });
+    }
+
+    // Read a cached beat map (null if missing or made by an older analysis or for other audio)
+    function readCache(trackId, src) {
+        try {
+            const raw = localStorage.getItem(analysisConfig.cacheKeyPrefix + trackId);
+            if (!raw) return null;
+
+            const cached = JSON.parse(raw);
+            if (cached.version !== analysisConfig.version || cached.src !== src) {
+                return null;
+            }
+            return cached;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Cache a beat map (a full localStorage just means the track is analysed again next time)
+    function writeCache(beatMap) {
+        try {
+            localStorage.setItem(analysisConfig.cacheKeyPrefix + beatMap.trackId, JSON.stringify(beatMap));
+        } catch (error) {
+            console.warn("Could not cache beat map for", beatMap.trackId, error);
+        }
+    }
+
+    // Get a track's beat map, analysing its audio if it isn't cached
+    // Resolves to { trackId, src, bpm, beats, onsets, duration } or null if the audio can't be analysed
+    function analyzeTrack(trackId, src, options = {}) {
+        if (beatMaps[trackId] && beatMaps[trackId].src === src) {
+            return Promise.resolve(beatMaps[trackId]);
+        }
+
+        const cached = readCache(trackId, src);
+        if (cached) {
+            beatMaps[trackId] = cached;
+            console.log(`Loaded cached beat map for ${trackId}: ${cached.bpm} BPM, ${cached.beats.length} beats`);
+            return Promise.resolve(cached);
+        }
+
+        if (pendingAnalyses[trackId]) {
+            return pendingAnalyses[trackId];
+        }
+
+        if (typeof OfflineAudioContext === 'undefined') {
+            console.warn("Web Audio isn't available - beat detection disabled");
+            return Promise.resolve(null);
+        }
+
+        console.log(`Analysing beats for ${trackId}...`);
+        const startTime = Date.now();
+
+        pendingAnalyses[trackId] = decodeAudio(src)
+            .then(resampleToMono)
+            .then(samples => {
+                const detected = detectFromSamples(samples, options);
+                const beatMap = Object.assign({ version: analysisConfig.version, trackId, src }, detected);
+
+                beatMaps[trackId] = beatMap;
+                writeCache(beatMap);
+
+                console.log(`Beat map for ${trackId}: ${beatMap.bpm} BPM, ${beatMap.beats.length} beats, ` +
+                            `${beatMap.onsets.length} onsets (${Date.now() - startTime}ms)`);
+                return beatMap;
+            })
+            .catch(error => {
+                console.warn(`Beat detection failed for ${trackId}:`, error.message || error);
+                return null;
+            })
+            .finally(() => {
+                delete pendingAnalyses[trackId];
+            });
+
+        return pendingAnalyses[trackId];
+    }
+
+    // Get an already-analysed beat map (null if the track hasn't been analysed)
+    function getBeatMap(trackId) {
+        return beatMaps[trackId] || null;
+    }
+
+    // Drop a track's beat map from memory and the cache so it is analysed again
+    function clearBeatMap(trackId) {
+        delete beatMaps[trackId];
+        try {
+            localStorage.removeItem(analysisConfig.cacheKeyPrefix + trackId);
+        } catch (error) {
+            // Nothing cached
+        }
+    }
+
+    // Export functions to be used in the main game
+    window.BeatAnalysis = {
+        analyze: analyzeTrack,
+        getBeatMap: getBeatMap,
+        clear: clearBeatMap,
+        detectFromSamples: detectFromSamples,
+        config: analysisConfig
+    };
+    GameHooks.register('BeatAnalysis', window.BeatAnalysis);
+})();
@@ -1,5 +1,6 @@
 // bullet_origin_fix.js - Handles the correct positioning of bullets from the enemy gun barrel
 // This tracks the gun barrel position through enemy movements and crouching
+// Its bullet factories are registered with GameHooks in place of the game's built-in lane patterns
 
 (function() {
     // Configuration for bullet origin tracking
@@ -101,7 +102,7 @@
 
     // Determine if a shot at the given height is allowed based on cooldown
     function canFireAtHeight(height) {
-        const currentTime = Date.now();
+        const currentTime = GameClock.now();
         const isHighShot = height >= bulletOriginState.highThreshold;
         
         // First shot is always allowed
@@ -135,113 +136,76 @@
         return false;
     }
 
-    // Override the bullet firing functions to use the correct origin
-    function applyBulletOriginPatches() {
-        console.log("Applying bullet origin position patches");
-        
-        // Store references to original functions
-        const originalFireHorizontalLaneBullet = window.fireHorizontalLaneBullet;
-        
-        // Safety check
-        if (!originalFireHorizontalLaneBullet) {
-            console.warn("Original fireHorizontalLaneBullet function not found, waiting...");
-            setTimeout(applyBulletOriginPatches, 1000);
-            return;
-        }
+    // The enemy crouched or stood up - the gun visibly moved, so the next shot may change height
+    // straight away instead of waiting out the high/low cooldown
+    function onStanceChange(isCrouching) {
+        bulletOriginState.lastShotHeight = null;
+        console.log(`Enemy ${isCrouching ? 'crouched' : 'stood up'} - next shot fires from the new barrel height`);
+    }
+
+    // Register bullet factories that fire from the gun barrel - they take the place of the game's
+    // built-in ones for the same patterns whichever script loads first
+    function registerBulletFactories() {
+        console.log("Registering gun barrel bullet factories");
         
-        // Override horizontal lane bullet firing
-        window.fireHorizontalLaneBullet = function() {
+        // Horizontal lane bullets - options.stance ('high' or 'low') is set for an enemy windup's shot
+        GameHooks.registerBulletFactory('horizontalLane', function(options = {}) {
             // Get the current bullet origin position
             const originPos = getBulletOriginPosition();
-            let height = horizontalLaneY[Math.floor(Math.random() * horizontalLaneY.length)];
+            let height = horizontalLaneY[Math.floor(GameClock.random() * horizontalLaneY.length)];
             
             // Adjust Y position if the origin is different from the default enemy height
             height = height + (originPos.y - 2.5);
             
-            // Check if the shot is allowed based on cooldown
-            if (!canFireAtHeight(height)) {
-                return;
+            // A windup's shot comes from the barrel height of the stance it started in, even if the
+            // enemy has since crouched or stood up
+            const isCrouching = typeof EnemyMovement !== 'undefined' && EnemyMovement.state && EnemyMovement.state.isCrouching;
+            if (options.stance === 'low' && !isCrouching) {
+                height += bulletOriginConfig.crouchOffsetY;
+            } else if (options.stance === 'high' && isCrouching) {
+                height -= bulletOriginConfig.crouchOffsetY;
             }
             
-            // Create bullet from the calculated origin position
-            let bullet = new Bullet(originPos.x, height, 0);
-            
-            // Original logic for first level bullets
-            if (currentLevel === 0) {
-                bullet.mesh.scale.set(1.2, 1.2, 1.2);
-                bullet.material.emissiveIntensity = 0.7;
+            // Check if the shot is allowed based on cooldown (the windup already telegraphs its shot)
+            if (!options.stance && !canFireAtHeight(height)) {
+                return;
             }
             
             // Add debug logging
             console.log("Firing horizontal bullet from gun barrel at position:", 
                         originPos.x, height, 0);
             
-            // Override the update method for leftward movement
-            bullet.update = function() { 
-                this.mesh.position.x -= 0.4;
-                
-                // Update trail position
-                this.trailMesh.position.copy(this.mesh.position);
-                this.trailMesh.position.x += 3.0;
-            };
-            
-            // Rotate the trail to point along the X axis
-            bullet.trailMesh.rotation.x = 0;
-            bullet.trailMesh.rotation.z = Math.PI / 2;
-            
-            bullets.push(bullet);
-        };
+            // Fire from the calculated origin position, moving left
+            // (original logic for first level bullets: larger and brighter)
+            BulletPool.spawn({
+                x: originPos.x,
+                y: height,
+                z: 0,
+                vx: -0.4,
+                scale: currentLevel === 0 ? 1.2 : 1,
+                style: currentLevel === 0 ? 'bright' : 'normal'
+            });
+        });
         
-        // Check if other bullet firing functions exist and patch them too
-        if (window.fireVerticalLaneBullet) {
-            const originalFireVerticalLaneBullet = window.fireVerticalLaneBullet;
+        // Vertical lane bullets
+        GameHooks.registerBulletFactory('verticalLane', function() {
+            // Get the current bullet origin position
+            const originPos = getBulletOriginPosition();
             
-            window.fireVerticalLaneBullet = function() {
-                // Get the current bullet origin position
-                const originPos = getBulletOriginPosition();
-                
-                // Use original function's logic but with new origin position
-                let bullet = new Bullet(originPos.x, originPos.y, 0);
-                
-                // Rest of the original function's logic
-                bullet.update = function() {
-                    this.mesh.position.z += 0.4;
-                    
-                    this.trailMesh.position.copy(this.mesh.position);
-                    this.trailMesh.position.z -= 3.0;
-                };
-                
-                bullets.push(bullet);
-            };
-        }
+            // Use the built-in pattern's logic but with the new origin position
+            BulletPool.spawn({ x: originPos.x, y: originPos.y, z: 0, vz: 0.4 });
+        });
         
-        // Patch spawnTestBullet if it exists
-        if (window.spawnTestBullet) {
-            const originalSpawnTestBullet = window.spawnTestBullet;
+        // Test bullets
+        GameHooks.registerBulletFactory('test', function() {
+            // Get the current bullet origin position
+            const originPos = getBulletOriginPosition();
             
-            window.spawnTestBullet = function() {
-                // Get the current bullet origin position
-                const originPos = getBulletOriginPosition();
-                
-                // Create bullet at the origin position
-                const bullet = new Bullet(originPos.x, originPos.y, 0);
-                
-                // Rest of original function logic
-                bullet.update = function() {
-                    this.mesh.position.x -= 0.4;
-                    
-                    this.trailMesh.position.copy(this.mesh.position);
-                    this.trailMesh.position.x += 3.0;
-                };
-                
-                bullet.trailMesh.rotation.x = 0;
-                bullet.trailMesh.rotation.z = Math.PI / 2;
-                
-                bullets.push(bullet);
-            };
-        }
+            // Create bullet at the origin position, moving left
+            BulletPool.spawn({ x: originPos.x, y: originPos.y, z: 0, vx: -0.4 });
+        });
         
-        console.log("Bullet origin position patches applied successfully");
+        console.log("Gun barrel bullet factories registered");
     }
 
     // Export functions to be used in the main game
@@ -249,14 +213,15 @@
         init: initBulletOriginTracking,
         update: updateBulletOriginPosition,
         getPosition: getBulletOriginPosition,
-        applyPatches: applyBulletOriginPatches,
+        registerFactories: registerBulletFactories,
         config: bulletOriginConfig,
-        canFireAtHeight: canFireAtHeight
+        canFireAtHeight: canFireAtHeight,
+        onStanceChange: onStanceChange
     };
+    GameHooks.register('BulletOrigin', window.BulletOrigin);
     
-    // Auto-initialize after a short delay to ensure the game is loaded
-    setTimeout(function() {
-        initBulletOriginTracking();
-        applyBulletOriginPatches();
-    }, 2000);
+    // Fire from the gun barrel from the start, and follow the enemy's stance
+    initBulletOriginTracking();
+    registerBulletFactories();
+    GameHooks.on('enemyStanceChanged', event => onStanceChange(event.isCrouching));
 })();
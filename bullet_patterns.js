@@ -0,0 +1,342 @@
+// bullet_patterns.js - Handles scripted bullet pattern timelines for each track
+// A timeline lists named patterns (spreads, aimed bursts, lane sweeps, spirals) keyed to the
+// song's audio time or beat indices, so every encounter is authored and plays the same each run
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for bullet pattern timelines
+    const patternConfig = {
+        defaultSpeed: 0.4,          // Bullet speed (units per frame) when an entry doesn't set one
+        maxLateness: 0.25,          // Events more than this many seconds overdue are skipped (after a seek)
+        rewindThreshold: 0.5,       // Audio jumping back further than this restarts the timeline
+        legacyPatterns: ['horizontalLane', 'verticalLane', 'stream', 'test'] // Fired by the game itself
+    };
+
+    // Pattern definitions - each turns an entry's parameters into a list of bullets to spawn
+    // context: { origin, target, volley } where origin is the enemy position, target the player
+    // position and volley the repeat number (0 for the first firing)
+    // Each bullet is { x, y, z, vx, vy, vz } with velocities in units per frame
+    const patternDefinitions = {
+        // Fan of bullets around the direction of the player
+        spread: function(params, context) {
+            const count = params.count || 5;
+            const arc = toRadians(params.arc !== undefined ? params.arc : 40);
+            const speed = params.speed || patternConfig.defaultSpeed;
+            const baseAngle = angleTo(context.origin, context.target);
+
+            const bullets = [];
+            for (let i = 0; i < count; i++) {
+                const offset = count > 1 ? (i / (count - 1) - 0.5) * arc : 0;
+                bullets.push(fromAngle(context.origin, baseAngle + offset, speed));
+            }
+            return bullets;
+        },
+
+        // Line of bullets aimed at the player that arrive one after another
+        aimed: function(params, context) {
+            const count = params.count || 3;
+            const spacing = params.spacing !== undefined ? params.spacing : 3;
+            const speed = params.speed || patternConfig.defaultSpeed;
+            const angle = angleTo(context.origin, context.target);
+
+            const bullets = [];
+            for (let i = 0; i < count; i++) {
+                // Later bullets start further back along the aim line
+                const start = {
+                    x: context.origin.x - Math.cos(angle) * spacing * i,
+                    y: context.origin.y - Math.sin(angle) * spacing * i,
+                    z: context.origin.z
+                };
+                bullets.push(fromAngle(start, angle, speed));
+            }
+            return bullets;
+        },
+
+        // One bullet per volley, stepping through the lanes
+        // 'horizontal' lanes are heights fired from the enemy's side, 'vertical' lanes are
+        // x positions dropped from above
+        laneSweep: function(params, context) {
+            const axis = params.axis || 'horizontal';
+            const lanes = params.lanes || (axis === 'vertical' ? [-40, -30, -20, -10] : [-3, 4, 10]); // Legs, body, head
+            const speed = params.speed || patternConfig.defaultSpeed;
+            const lanesPerVolley = params.count || 1;
+
+            const bullets = [];
+            for (let i = 0; i < lanesPerVolley; i++) {
+                const lane = lanes[(context.volley * lanesPerVolley + i) % lanes.length];
+                if (axis === 'vertical') {
+                    bullets.push({ x: lane, y: params.height || 30, z: 0, vx: 0, vy: -speed, vz: 0 });
+                } else {
+                    bullets.push({ x: context.origin.x, y: lane, z: 0, vx: -speed, vy: 0, vz: 0 });
+                }
+            }
+            return bullets;
+        },
+
+        // Ring of bullets that turns a little with each volley
+        spiral: function(params, context) {
+            const count = params.count || 8;
+            const speed = params.speed || patternConfig.defaultSpeed;
+            const startAngle = toRadians(params.startAngle || 0);
+            const rotation = toRadians(params.rotation !== undefined ? params.rotation : 15);
+
+            const bullets = [];
+            for (let i = 0; i < count; i++) {
+                const angle = startAngle + rotation * context.volley + (Math.PI * 2 * i) / count;
+                bullets.push(fromAngle(context.origin, angle, speed));
+            }
+            return bullets;
+        }
+    };
+
+    // State variables for the current timeline
+    const timelineState = {
+        events: [],                 // Expanded events sorted by time: { time, pattern, params, volley }
+        nextEventIndex: 0,          // First event that hasn't fired yet
+        lastTime: 0                 // Audio time of the previous update
+    };
+
+    // Degrees to radians
+    function toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    // Angle (in the x-y plane) from one position to another - straight left if there's no target
+    function angleTo(from, to) {
+        if (!to) return Math.PI;
+        return Math.atan2(to.y - from.y, to.x - from.x);
+    }
+
+    // Bullet leaving a position at an angle in the x-y plane
+    function fromAngle(position, angle, speed) {
+        return {
+            x: position.x,
+            y: position.y,
+            z: position.z || 0,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            vz: 0
+        };
+    }
+
+    // Convert a (possibly fractional) beat index to seconds using the track's beat list
+    // Beats past the end of the list continue at the track's bpm, or the last beat interval
+    function beatToTime(beat, beats, bpm) {
+        const list = beats || [];
+        if (list.length === 0) {
+            return bpm > 0 ? beat * 60 / bpm : null;
+        }
+
+        const whole = Math.floor(beat);
+        const fraction = beat - whole;
+        const last = list.length - 1;
+
+        if (whole < last) {
+            return list[whole] + (list[whole + 1] - list[whole]) * fraction;
+        }
+
+        const interval = bpm > 0 ? 60 / bpm : (last > 0 ? list[last] - list[last - 1] : null);
+        if (interval === null) {
+            return beat === 0 ? list[0] : null;
+        }
+        return list[last] + (beat - last) * interval;
+    }
+
+    // Check a timeline file's entries, returning a list of problems
+    function validateTimeline(entries) {
+        const problems = [];
+
+        if (!Array.isArray(entries)) {
+            problems.push("Timeline has no \"events\" list");
+            return problems;
+        }
+
+        entries.forEach((entry, index) => {
+            const label = `Event #${index + 1}`;
+
+            if (!entry || typeof entry !== 'object') {
+                problems.push(`${label} is not an object`);
+                return;
+            }
+
+            const hasTime = typeof entry.time === 'number' && entry.time >= 0;
+            const hasBeat = typeof entry.beat === 'number' && entry.beat >= 0;
+            if (hasTime === hasBeat) {
+                problems.push(`${label} needs exactly one of "time" or "beat"`);
+            }
+
+            if (!patternDefinitions[entry.pattern] && !patternConfig.legacyPatterns.includes(entry.pattern)) {
+                problems.push(`${label} uses unknown pattern "${entry.pattern}"`);
+            }
+
+            if (entry.repeat !== undefined && !(Number.isInteger(entry.repeat) && entry.repeat >= 1)) {
+                problems.push(`${label} has an invalid "repeat"`);
+            }
+
+            if (entry.repeat > 1 && !(entry.interval > 0)) {
+                problems.push(`${label} repeats without a positive "interval"`);
+            }
+        });
+
+        return problems;
+    }
+
+    // Load a track's timeline file - resolves to { events, errors } (no events if there's no file)
+    function loadTimeline(url) {
+        if (!url) {
+            return Promise.resolve({ events: [], errors: [] });
+        }
+
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load bullet timeline ${url}: HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const entries = data && data.events;
+                const errors = validateTimeline(entries);
+                if (errors.length > 0) {
+                    errors.forEach(message => console.warn(`Bullet timeline ${url}: ${message}`));
+                    return { events: [], errors };
+                }
+
+                console.log(`Loaded ${entries.length} bullet timeline events from ${url}`);
+                return { events: entries, errors: [] };
+            })
+            .catch(error => {
+                // Fall back to the track's cadence and random patterns
+                console.warn(error.message || error);
+                return { events: [], errors: [error.message || String(error)] };
+            });
+    }
+
+    // Whether an entry is played at a difficulty ("minDifficulty" hides it on easier ones)
+    function isEntryActive(entry, difficulty) {
+        if (!entry.minDifficulty || !difficulty || !window.Difficulty) {
+            return true;
+        }
+
+        const order = window.Difficulty.config.order;
+        return order.indexOf(difficulty) >= order.indexOf(entry.minDifficulty);
+    }
+
+    // Expand the timeline's entries (repeats, beat keys) into a time-sorted event list
+    // options: { beats, bpm, difficulty }
+    function setTimeline(entries, options = {}) {
+        const events = [];
+
+        (entries || []).forEach(entry => {
+            if (!isEntryActive(entry, options.difficulty)) {
+                return;
+            }
+
+            const repeat = entry.repeat || 1;
+            for (let volley = 0; volley < repeat; volley++) {
+                // The interval is in the same unit as the entry's key
+                const time = entry.beat !== undefined
+                    ? beatToTime(entry.beat + volley * (entry.interval || 0), options.beats, options.bpm)
+                    : entry.time + volley * (entry.interval || 0);
+
+                if (time === null) {
+                    console.warn(`Bullet timeline: can't place beat ${entry.beat} without beats or bpm`);
+                    return;
+                }
+
+                events.push({
+                    time: time,
+                    pattern: entry.pattern,
+                    params: entry,
+                    volley: volley
+                });
+            }
+        });
+
+        events.sort((a, b) => a.time - b.time);
+
+        timelineState.events = events;
+        timelineState.nextEventIndex = 0;
+        timelineState.lastTime = 0;
+
+        console.log(`Bullet timeline set with ${events.length} events`);
+        return events.length;
+    }
+
+    // Remove the current timeline
+    function clearTimeline() {
+        timelineState.events = [];
+        timelineState.nextEventIndex = 0;
+        timelineState.lastTime = 0;
+    }
+
+    // Whether the current track has a timeline
+    function hasTimeline() {
+        return timelineState.events.length > 0;
+    }
+
+    // First event at or after a time
+    function findEventIndex(time) {
+        const index = timelineState.events.findIndex(event => event.time >= time);
+        return index === -1 ? timelineState.events.length : index;
+    }
+
+    // Work out the bullets a pattern spawns
+    function createBullets(patternName, params, context) {
+        const definition = patternDefinitions[patternName];
+        if (!definition) {
+            return null;
+        }
+        return definition(params || {}, Object.assign({ volley: 0 }, context));
+    }
+
+    // Fire every event that has come due by the current audio time
+    // context: { origin, target } positions; handlers: { spawn(bullet), fireNamed(patternName) }
+    function updateTimeline(currentTime, context, handlers) {
+        if (!hasTimeline()) return 0;
+
+        // Restart from the right place if the song was rewound (e.g. on retry)
+        if (currentTime < timelineState.lastTime - patternConfig.rewindThreshold) {
+            timelineState.nextEventIndex = findEventIndex(currentTime);
+        }
+        timelineState.lastTime = currentTime;
+
+        let fired = 0;
+        while (timelineState.nextEventIndex < timelineState.events.length &&
+               timelineState.events[timelineState.nextEventIndex].time <= currentTime) {
+            const event = timelineState.events[timelineState.nextEventIndex++];
+
+            // Don't dump a backlog of events at once after a seek forward
+            if (currentTime - event.time > patternConfig.maxLateness) {
+                continue;
+            }
+
+            const bullets = createBullets(event.pattern, event.params,
+                Object.assign({}, context, { volley: event.volley }));
+
+            if (bullets) {
+                bullets.forEach(bullet => handlers.spawn(bullet));
+            } else {
+                handlers.fireNamed(event.pattern);
+            }
+            fired++;
+        }
+
+        return fired;
+    }
+
+    // Export functions to be used in the main game
+    window.BulletPatterns = {
+        load: loadTimeline,
+        validate: validateTimeline,
+        setTimeline: setTimeline,
+        clear: clearTimeline,
+        hasTimeline: hasTimeline,
+        update: updateTimeline,
+        createBullets: createBullets,
+        beatToTime: beatToTime,
+        patterns: patternDefinitions,
+        config: patternConfig
+    };
+    GameHooks.register('BulletPatterns', window.BulletPatterns);
+})();
@@ -0,0 +1,291 @@
+// bullet_pool.js - Handles pooled enemy bullets with shared geometry and materials
+// Bullets are created once, reused when they leave the arena and moved by a velocity, so dense
+// bullet patterns don't allocate meshes, geometries or arrays every frame
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the bullet pool
+    const poolConfig = {
+        initialCapacity: 128,       // Bullets created up front
+        maxCapacity: 1024,          // The pool doubles in size when full, up to this many bullets
+        bulletRadius: 1.0,          // Bullet sphere radius
+        trailLength: 6,             // Length of the tapered trail
+        trailOffset: 3.0,           // Distance from the bullet centre to the trail centre
+        bounds: {                   // Bullets leaving this box are returned to the pool
+            minX: -80, maxX: 80,
+            minY: -30, maxY: 60,
+            minZ: -5,  maxZ: 5
+        }
+    };
+
+    // State variables for the pool
+    const poolState = {
+        scene: null,                // Scene the bullet meshes live in
+        geometry: null,             // Shared bullet sphere geometry
+        trailGeometry: null,        // Shared tapered trail geometry
+        materials: null,            // Shared materials by style: { normal, bright, trail }
+        free: [],                   // Bullets ready to be reused
+        active: [],                 // Bullets in flight (order isn't preserved)
+        capacity: 0,                // Bullets created so far
+        peakActive: 0,              // Most bullets in flight at once
+        dropped: 0,                 // Spawns refused because the pool was at max capacity
+        updateHooks: []             // Functions called with each bullet after it moves
+    };
+
+    // The trail geometry's wide end points along +Y (created in init - three.js loads after this file)
+    let trailAxis = null;
+
+    // Build the tapered trail shape once - a cylinder squeezed towards its far end
+    function createTrailGeometry() {
+        const trailLength = poolConfig.trailLength;
+        const geometry = new THREE.CylinderGeometry(0.9, 0.2, trailLength, 16);
+
+        const positionAttribute = geometry.getAttribute('position');
+        for (let i = 0; i < positionAttribute.count; i++) {
+            const y = positionAttribute.getY(i);
+
+            // Only modify non-cap vertices
+            if (y !== trailLength / 2 && y !== -trailLength / 2) {
+                // 0 at the bullet end, 1 at the far end - exponential falloff tapers quickly near the bullet
+                const normalizedPos = (trailLength / 2 - y) / trailLength;
+                const taperedScale = Math.pow(1 - normalizedPos, 1.5);
+
+                positionAttribute.setX(i, positionAttribute.getX(i) * taperedScale);
+                positionAttribute.setZ(i, positionAttribute.getZ(i) * taperedScale);
+            }
+        }
+
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    // Create the shared geometry and materials
+    function createSharedResources() {
+        poolState.geometry = new THREE.SphereGeometry(poolConfig.bulletRadius, 16, 16);
+        poolState.trailGeometry = createTrailGeometry();
+        poolState.materials = {
+            normal: new THREE.MeshPhongMaterial({
+                color: 0xff0000,
+                emissive: 0xff0000,
+                emissiveIntensity: 0.5,
+                specular: 0xffffff,
+                shininess: 30
+            }),
+            bright: new THREE.MeshPhongMaterial({   // Stronger glow used on the first level
+                color: 0xff0000,
+                emissive: 0xff0000,
+                emissiveIntensity: 0.7,
+                specular: 0xffffff,
+                shininess: 30
+            }),
+            trail: new THREE.MeshPhongMaterial({
+                color: 0xff5500,
+                emissive: 0xff3300,
+                transparent: true,
+                opacity: 0.9,
+                emissiveIntensity: 0.8
+            })
+        };
+    }
+
+    // Create a bullet (hidden until spawned)
+    function createBullet() {
+        const mesh = new THREE.Mesh(poolState.geometry, poolState.materials.normal);
+        const trailMesh = new THREE.Mesh(poolState.trailGeometry, poolState.materials.trail);
+        mesh.visible = false;
+        trailMesh.visible = false;
+        poolState.scene.add(mesh);
+        poolState.scene.add(trailMesh);
+
+        poolState.capacity++;
+        return {
+            mesh: mesh,
+            trailMesh: trailMesh,
+            velocity: new THREE.Vector3(),  // Units per 60fps frame before the speed scale
+            direction: new THREE.Vector3(), // Unit direction of travel (for the trail)
+            activeIndex: -1,                // Position in the active list
+            _grazed: false,                 // Set by the hitbox near-miss check
+            _collided: false                // Set by collision handlers
+        };
+    }
+
+    // Add bullets to the free list
+    function growPool(count) {
+        for (let i = 0; i < count && poolState.capacity < poolConfig.maxCapacity; i++) {
+            poolState.free.push(createBullet());
+        }
+    }
+
+    // Create the pool's shared resources and initial bullets
+    function initPool(scene) {
+        if (poolState.scene) {
+            return;
+        }
+
+        poolState.scene = scene;
+        trailAxis = new THREE.Vector3(0, 1, 0);
+        createSharedResources();
+        growPool(poolConfig.initialCapacity);
+
+        console.log(`Bullet pool initialized with ${poolState.capacity} bullets`);
+    }
+
+    // Line a bullet's trail up behind it
+    function placeTrail(bullet) {
+        bullet.trailMesh.position.copy(bullet.mesh.position).addScaledVector(bullet.direction, -poolConfig.trailOffset);
+    }
+
+    // Fire a bullet - spec: { x, y, z, vx, vy, vz, scale, style }
+    // Velocities are in units per frame at 60fps; style is 'normal' or 'bright'
+    // Returns the bullet, or null if the pool is full
+    function spawnBullet(spec) {
+        if (poolState.free.length === 0) {
+            growPool(Math.max(1, poolState.capacity));
+        }
+
+        const bullet = poolState.free.pop();
+        if (!bullet) {
+            poolState.dropped++;
+            return null;
+        }
+
+        bullet.mesh.position.set(spec.x || 0, spec.y || 0, spec.z || 0);
+        bullet.mesh.scale.setScalar(spec.scale || 1);
+        bullet.mesh.material = poolState.materials[spec.style] || poolState.materials.normal;
+        bullet.velocity.set(spec.vx || 0, spec.vy || 0, spec.vz || 0);
+        bullet._grazed = false;
+        bullet._collided = false;
+
+        // Turn the trail so its wide end leads, behind the bullet
+        if (bullet.velocity.lengthSq() > 0) {
+            bullet.direction.copy(bullet.velocity).normalize();
+            bullet.trailMesh.quaternion.setFromUnitVectors(trailAxis, bullet.direction);
+        } else {
+            bullet.direction.set(0, 0, 0);
+        }
+        placeTrail(bullet);
+
+        bullet.mesh.visible = true;
+        bullet.trailMesh.visible = true;
+
+        bullet.activeIndex = poolState.active.length;
+        poolState.active.push(bullet);
+        poolState.peakActive = Math.max(poolState.peakActive, poolState.active.length);
+
+        GameHooks.emit('bulletSpawned', { bullet: bullet, spec: spec });
+        return bullet;
+    }
+
+    // Return a bullet to the pool
+    function releaseBullet(bullet) {
+        const index = bullet.activeIndex;
+        if (index < 0 || poolState.active[index] !== bullet) {
+            return;
+        }
+
+        // Swap the last active bullet into this slot instead of shifting the list
+        const last = poolState.active.pop();
+        if (last !== bullet) {
+            poolState.active[index] = last;
+            last.activeIndex = index;
+        }
+
+        bullet.activeIndex = -1;
+        bullet.mesh.visible = false;
+        bullet.trailMesh.visible = false;
+        poolState.free.push(bullet);
+    }
+
+    // Whether a bullet has left the arena
+    function isOutOfBounds(position) {
+        const bounds = poolConfig.bounds;
+        return position.x < bounds.minX || position.x > bounds.maxX ||
+               position.y < bounds.minY || position.y > bounds.maxY ||
+               position.z < bounds.minZ || position.z > bounds.maxZ;
+    }
+
+    // Call a function for every bullet in flight - it may release the bullet it is given
+    function forEachActive(callback) {
+        // Walking backwards keeps the swap in releaseBullet from skipping a bullet
+        for (let i = poolState.active.length - 1; i >= 0; i--) {
+            if (i < poolState.active.length) {
+                callback(poolState.active[i]);
+            }
+        }
+    }
+
+    // Move every bullet, run the update hooks and release bullets that left the arena
+    // speedScale multiplies the velocities - the game folds the frame's length into it
+    function updatePool(speedScale = 1) {
+        for (let i = poolState.active.length - 1; i >= 0; i--) {
+            const bullet = poolState.active[i];
+
+            bullet.mesh.position.addScaledVector(bullet.velocity, speedScale);
+            placeTrail(bullet);
+
+            for (let h = 0; h < poolState.updateHooks.length; h++) {
+                poolState.updateHooks[h](bullet);
+            }
+
+            if (bullet.activeIndex !== -1 && isOutOfBounds(bullet.mesh.position)) {
+                releaseBullet(bullet);
+            }
+        }
+    }
+
+    // Return every bullet to the pool
+    function clearPool() {
+        while (poolState.active.length > 0) {
+            releaseBullet(poolState.active[poolState.active.length - 1]);
+        }
+    }
+
+    // Register a function called with each bullet after it moves
+    function addUpdateHook(hook) {
+        poolState.updateHooks.push(hook);
+    }
+
+    // Pool usage for the debug overlay
+    function getStats() {
+        return {
+            active: poolState.active.length,
+            capacity: poolState.capacity,
+            maxCapacity: poolConfig.maxCapacity,
+            peakActive: poolState.peakActive,
+            dropped: poolState.dropped
+        };
+    }
+
+    // Remove every bullet from the scene and free the shared GPU resources
+    function disposePool() {
+        clearPool();
+        poolState.free.forEach(bullet => {
+            poolState.scene.remove(bullet.mesh);
+            poolState.scene.remove(bullet.trailMesh);
+        });
+        poolState.free = [];
+
+        poolState.geometry.dispose();
+        poolState.trailGeometry.dispose();
+        Object.keys(poolState.materials).forEach(style => poolState.materials[style].dispose());
+
+        poolState.capacity = 0;
+        poolState.scene = null;
+        console.log("Bullet pool disposed");
+    }
+
+    // Export functions to be used in the main game
+    window.BulletPool = {
+        init: initPool,
+        spawn: spawnBullet,
+        release: releaseBullet,
+        update: updatePool,
+        forEachActive: forEachActive,
+        clear: clearPool,
+        addUpdateHook: addUpdateHook,
+        getStats: getStats,
+        dispose: disposePool,
+        config: poolConfig
+    };
+    GameHooks.register('BulletPool', window.BulletPool);
+})();
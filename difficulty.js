@@ -0,0 +1,125 @@
+// difficulty.js - Handles difficulty presets chosen from the main menu
+// Each preset scales the typing window, target length, bullets, enemy movement and enemy HP
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Difficulty presets, easiest first
+    const difficultyPresets = {
+        story: {
+            label: 'Story',
+            timeWindow: 6,              // Seconds to type each target
+            bulletInterval: 2000,       // ms between cadence bullets
+            bulletSpeed: 0.6,           // Bullet speed multiplier
+            randomPatternScale: 0,      // Multiplier on the per-frame random pattern chances
+            extraPatterns: [],          // Random patterns added on top of the track's own
+            enemySpeed: 0.7,            // Enemy movement speed multiplier
+            enemyHealth: 600            // Enemy max health
+        },
+        normal: {
+            label: 'Normal',
+            timeWindow: 4,
+            bulletInterval: 1250,
+            bulletSpeed: 1.0,
+            randomPatternScale: 1,
+            extraPatterns: [],
+            enemySpeed: 1.0,
+            enemyHealth: 1000
+        },
+        hard: {
+            label: 'Hard',
+            timeWindow: 3,
+            bulletInterval: 1000,
+            bulletSpeed: 1.25,
+            randomPatternScale: 1.25,
+            extraPatterns: ['horizontalLane'],
+            enemySpeed: 1.3,
+            enemyHealth: 1300
+        },
+        insane: {
+            label: 'Insane',
+            timeWindow: 2.5,
+            bulletInterval: 750,
+            bulletSpeed: 1.5,
+            randomPatternScale: 1.5,
+            extraPatterns: ['horizontalLane', 'verticalLane'],
+            enemySpeed: 1.6,
+            enemyHealth: 1600
+        }
+    };
+
+    // Configuration for difficulty selection
+    const difficultyConfig = {
+        defaultDifficulty: 'normal',    // Selected when nothing has been chosen
+        order: ['story', 'normal', 'hard', 'insane'], // Easiest to hardest
+        storageKey: 'synthpocalypse-difficulty'       // Remembers the last choice between visits
+    };
+
+    // The difficulty chosen on the main menu
+    let selectedDifficulty = difficultyConfig.defaultDifficulty;
+
+    // Choose a difficulty (remembered for the next visit)
+    function setDifficulty(name) {
+        if (!difficultyPresets[name]) {
+            console.warn("Unknown difficulty:", name);
+            return false;
+        }
+
+        selectedDifficulty = name;
+        try {
+            localStorage.setItem(difficultyConfig.storageKey, name);
+        } catch (error) {
+            // Not being able to remember the choice isn't a problem
+        }
+
+        console.log("Difficulty set to:", name);
+        return true;
+    }
+
+    // The difficulty chosen on the main menu
+    function getDifficulty() {
+        return selectedDifficulty;
+    }
+
+    // Work out the preset to play a track with - the manifest's per-track difficulty shifts
+    // the chosen one, so a track rated "hard" plays one step harder than the menu choice
+    function resolveDifficulty(trackDifficulty) {
+        const order = difficultyConfig.order;
+        const base = order.indexOf(difficultyConfig.defaultDifficulty);
+        const trackIndex = order.indexOf(trackDifficulty);
+        const shift = trackIndex >= 0 ? trackIndex - base : 0;
+        const index = Math.max(0, Math.min(order.length - 1, order.indexOf(selectedDifficulty) + shift));
+
+        return order[index];
+    }
+
+    // Get the preset values for a difficulty (defaults to the chosen one)
+    function getPreset(name) {
+        return difficultyPresets[name || selectedDifficulty] || difficultyPresets[difficultyConfig.defaultDifficulty];
+    }
+
+    // Restore the last chosen difficulty
+    function loadDifficulty() {
+        try {
+            const saved = localStorage.getItem(difficultyConfig.storageKey);
+            if (saved && difficultyPresets[saved]) {
+                selectedDifficulty = saved;
+            }
+        } catch (error) {
+            // Fall back to the default difficulty
+        }
+        return selectedDifficulty;
+    }
+
+    loadDifficulty();
+
+    // Export functions to be used in the main game
+    window.Difficulty = {
+        set: setDifficulty,
+        get: getDifficulty,
+        resolve: resolveDifficulty,
+        getPreset: getPreset,
+        presets: difficultyPresets,
+        config: difficultyConfig
+    };
+    GameHooks.register('Difficulty', window.Difficulty);
+})();
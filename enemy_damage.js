@@ -6,7 +6,8 @@
     // Configuration for enemy health
     const enemyHealthConfig = {
         maxHealth: 1000,                            // Maximum health
-        damagePerLineBase: 29,                      // Base damage per line (1000/35)
+        weighting: 'length',                        // How health is split across targets: 'uniform', 'length' or 'speed'
+        minSpeedFactor: 0.5,                        // Slowest possible hit still deals this share of its damage ('speed' weighting)
         healthBarColor: '#ff3333'                   // Default health bar color
     };
 
@@ -15,7 +16,11 @@
         currentHealth: 1000,                        // Current health (initialized to max)
         totalDamageDealt: 0,                        // Total damage dealt so far
         linesCompleted: 0,                          // Number of lyric lines completed
-        lineCount: 35,                              // Expected number of lines in the song
+        lineCount: 0,                               // Number of targets on the loaded track
+        targets: [],                                // Target text per lyric index ("" for lines without one)
+        targetOrder: [],                            // Lyric indices that have a target, in song order
+        damagePlan: {},                             // Planned damage per lyric index (sums to maxHealth)
+        hitTargets: {},                             // Lyric indices whose targets have been completed
         isDefeated: false,                          // Whether enemy is defeated
     };
 
@@ -23,6 +28,7 @@
     let healthBarContainer = null;
     let healthBarFill = null;
     let healthText = null;
+    let healthMaxText = null;
 
     // Initialize enemy damage system
     function initEnemyDamage() {
@@ -32,6 +38,7 @@
         enemyState.currentHealth = enemyHealthConfig.maxHealth;
         enemyState.totalDamageDealt = 0;
         enemyState.linesCompleted = 0;
+        enemyState.hitTargets = {};
         enemyState.isDefeated = false;
         
         // Get references to the static HTML elements
@@ -78,11 +85,75 @@
         
         // Update health text
         healthText.textContent = Math.floor(enemyState.currentHealth);
+        
+        if (!healthMaxText) {
+            healthMaxText = document.getElementById('static-enemy-health-max');
+        }
+        if (healthMaxText) {
+            healthMaxText.textContent = enemyHealthConfig.maxHealth;
+        }
+    }
+
+    // Weight of a single target when splitting the enemy's health across the track
+    function getTargetWeight(target) {
+        if (enemyHealthConfig.weighting === 'uniform') {
+            return 1;
+        }
+        
+        // 'length' and 'speed' both start from the number of letters to type
+        const letters = (target || "").replace(/\s/g, '').length;
+        return Math.max(1, letters);
+    }
+
+    // Build the damage plan for the loaded track
+    // Each target gets a whole-number share of the health and the shares add up to
+    // exactly maxHealth, so a perfect run empties the bar on the last target
+    function buildDamagePlan() {
+        const weights = enemyState.targetOrder.map(index => getTargetWeight(enemyState.targets[index]));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        
+        enemyState.damagePlan = {};
+        
+        let cumulativeWeight = 0;
+        let previousCumulativeDamage = 0;
+        enemyState.targetOrder.forEach((lyricIndex, position) => {
+            cumulativeWeight += weights[position];
+            
+            // Round the running total rather than each share so rounding errors can't accumulate
+            const cumulativeDamage = Math.round(enemyHealthConfig.maxHealth * cumulativeWeight / totalWeight);
+            enemyState.damagePlan[lyricIndex] = cumulativeDamage - previousCumulativeDamage;
+            previousCumulativeDamage = cumulativeDamage;
+        });
+    }
+
+    // Whether a perfect run from here can still defeat the enemy (no earlier target was missed)
+    function isKillable(upToLyricIndex) {
+        if (enemyState.isDefeated) {
+            return true;
+        }
+        
+        return enemyState.targetOrder
+            .filter(index => index < upToLyricIndex)
+            .every(index => enemyState.hitTargets[index]);
+    }
+
+    // Lyric index of the latest completed target (-1 if none yet)
+    function getLatestHitIndex() {
+        return Object.keys(enemyState.hitTargets).reduce((latest, index) => Math.max(latest, Number(index)), -1);
     }
 
     // Apply damage based on completed line
-    function applyDamage(lineText, isSuccessful, currentLyricText = "") {
-        console.log("applyDamage called with:", { isSuccessful, currentHealth: enemyState.currentHealth });
+    // outcome: { completed, damageScale } from InputRules.getOutcome - the share of the target's
+    // damage the attempt deals after the input ruleset's penalties (an unfinished target deals
+    // its share without counting as completed, and a completed one with a damageScale of 0 - its
+    // shot missed or was shielded - still counts as typed); true or false still mean a full hit or nothing
+    // options: { lyricIndex, timeTaken, timeWindow } - the lyric the target belongs to and
+    // how long it took to type (used by 'speed' weighting)
+    function applyDamage(lineText, outcome, currentLyricText = "", options = {}) {
+        if (typeof outcome !== 'object' || outcome === null) {
+            outcome = { completed: !!outcome, damageScale: outcome ? 1 : 0 };
+        }
+        console.log("applyDamage called with:", { outcome, currentHealth: enemyState.currentHealth });
         
         // Skip if enemy already defeated
         if (enemyState.isDefeated) {
@@ -90,28 +161,63 @@
             return { damage: 0 };
         }
         
-        // Skip damage if not successful
-        if (!isSuccessful) {
-            console.log("Attack not successful, no damage applied");
+        // Work out which target was completed - fall back to song order if the caller didn't say
+        let lyricIndex = options.lyricIndex;
+        if (lyricIndex === undefined || !(lyricIndex in enemyState.damagePlan)) {
+            lyricIndex = enemyState.targetOrder.find(index => !enemyState.hitTargets[index]);
+        }
+        
+        // Ignore repeat completions of the same target
+        if (lyricIndex !== undefined && enemyState.hitTargets[lyricIndex]) {
+            console.log("Target already completed, no damage applied");
             return { damage: 0 };
         }
         
-        // Increment lines completed
-        enemyState.linesCompleted++;
+        const isPartial = !outcome.completed;
+        
+        // A completed target counts as typed even when its shot missed or was shielded and deals
+        // nothing, so it doesn't cost the final line's killable guarantee
+        if (!isPartial) {
+            enemyState.linesCompleted++;
+            if (lyricIndex !== undefined) {
+                enemyState.hitTargets[lyricIndex] = true;
+            }
+        }
+        
+        // Planned share of the enemy's health for this target, scaled by the attempt's outcome
+        let damageAmount = lyricIndex !== undefined ? enemyState.damagePlan[lyricIndex] : 0;
+        damageAmount = Math.round(damageAmount * Math.min(1, Math.max(0, outcome.damageScale || 0)));
         
-        // Apply FIXED damage per line (exactly 1000 / 35 = ~29 per line)
-        let damageAmount = enemyHealthConfig.damagePerLineBase;
+        // Speed weighting scales the share down for slow hits (never up, so the plan can't overshoot)
+        if (enemyHealthConfig.weighting === 'speed' && options.timeWindow > 0 && options.timeTaken >= 0) {
+            const timeUsed = Math.min(1, options.timeTaken / options.timeWindow);
+            const speedFactor = 1 - (1 - enemyHealthConfig.minSpeedFactor) * timeUsed;
+            damageAmount = Math.round(damageAmount * speedFactor);
+        }
         
         console.log(`Before damage: enemy health = ${enemyState.currentHealth}, damage amount = ${damageAmount}`);
         
-        // Check if this is the final line (35th line)
-        const isFinalLine = (enemyState.linesCompleted >= 35);
+        // Check if this is the final target on the track
+        const lastLyricIndex = enemyState.targetOrder[enemyState.targetOrder.length - 1];
+        const isFinalLine = lyricIndex !== undefined && lyricIndex === lastLyricIndex;
         
-        // If final line, ensure it deals enough damage to defeat enemy
-        if (isFinalLine) {
+        // Killable guarantee: if every earlier target was hit, the final one finishes the enemy -
+        // as long as its shot lands (one that missed or was shielded has a damageScale of 0)
+        if (isFinalLine && !isPartial && outcome.damageScale > 0 && isKillable(lyricIndex)) {
             damageAmount = Math.max(damageAmount, enemyState.currentHealth);
         }
         
+        // Skip damage if the attempt earned none
+        if (damageAmount <= 0) {
+            console.log("Attack not successful, no damage applied");
+            return {
+                damage: 0,
+                remainingHealth: enemyState.currentHealth,
+                isFinalLine: isFinalLine,
+                isDefeated: false
+            };
+        }
+        
         // Apply damage to enemy - ENSURE WE'RE ACTUALLY SUBTRACTING
         const oldHealth = enemyState.currentHealth;
         enemyState.currentHealth = Math.max(0, enemyState.currentHealth - damageAmount);
@@ -126,13 +232,17 @@
             onEnemyDefeated();
         }
         
-        // Show damage number
-        showDamageNumber(damageAmount);
+        // Boss phases listen for this to start the next phase when a health threshold is crossed
+        GameHooks.emit('enemyDamaged', {
+            damage: damageAmount,
+            health: enemyState.currentHealth,
+            maxHealth: enemyHealthConfig.maxHealth,
+            fraction: enemyState.currentHealth / enemyHealthConfig.maxHealth,
+            isDefeated: enemyState.isDefeated
+        });
         
-        // Trigger muzzle flash effect if window.MuzzleFlash exists
-        if (window.MuzzleFlash && typeof window.MuzzleFlash.triggerFlash === 'function') {
-            window.MuzzleFlash.triggerFlash();
-        }
+        // Show damage number (the muzzle flash goes off when PlayerShots fires the shot)
+        showDamageNumber(damageAmount);
         
         // Update health bar AFTER applying damage
         updateHealthBar();
@@ -146,25 +256,54 @@
         };
     }
 
-    // Set current track info to calculate line distribution
+    // Set current track info to calculate damage distribution
+    // lrcData.lyrics is the game's lyric list ({ time, lyric, target })
     function setCurrentTrack(lrcData) {
         if (!lrcData || !lrcData.lyrics || lrcData.lyrics.length === 0) {
             console.warn("Invalid LRC data provided to setCurrentTrack");
             return;
         }
         
-        // Count the number of lines with actual text content (excluding timestamps without lyrics)
-        let lineCount = 0;
-        for (const lyric of lrcData.lyrics) {
-            if (lyric.text && lyric.text.trim() !== "") {
-                lineCount++;
+        // Only lines with a typing target can deal damage
+        enemyState.targets = lrcData.lyrics.map(lyric => (lyric.target || "").trim());
+        enemyState.targetOrder = [];
+        enemyState.targets.forEach((target, index) => {
+            if (target !== "") {
+                enemyState.targetOrder.push(index);
             }
-        }
+        });
         
-        enemyState.lineCount = lineCount;
+        enemyState.lineCount = enemyState.targetOrder.length;
         enemyState.linesCompleted = 0;
+        enemyState.hitTargets = {};
+        
+        buildDamagePlan();
         
-        console.log(`Track set with ${enemyState.lineCount} lines for damage calculation`);
+        console.log(`Track set with ${enemyState.lineCount} targets for damage calculation (${enemyHealthConfig.weighting} weighting)`);
+    }
+
+    // Change how health is split across targets ('uniform', 'length' or 'speed')
+    function setWeighting(weighting) {
+        if (!['uniform', 'length', 'speed'].includes(weighting)) {
+            console.warn("Unknown damage weighting:", weighting);
+            return;
+        }
+        
+        enemyHealthConfig.weighting = weighting;
+        
+        // Re-split the health if a track is already loaded
+        if (enemyState.targetOrder.length > 0) {
+            buildDamagePlan();
+        }
+    }
+
+    // Planned damage per target, in song order
+    function getDamagePlan() {
+        return enemyState.targetOrder.map(lyricIndex => ({
+            lyricIndex: lyricIndex,
+            target: enemyState.targets[lyricIndex],
+            damage: enemyState.damagePlan[lyricIndex]
+        }));
     }
 
     // Show damage number floating upward
@@ -211,14 +350,8 @@
     function onEnemyDefeated() {
         console.log("Enemy defeated!");
         
-        // Trigger visual effects for defeated enemy
-        // This could flash the enemy red, make them fade out, etc.
-        // For now, just add a class to the enemy to trigger CSS animations
-        
-        // Get the enemy object from the scene (assuming it has a specific ID or class)
-        // Add a defeated animation...
-        
-        // Can be connected to other game systems later
+        // Boss phases explode, collapse and fade the enemy model
+        GameHooks.emit('enemyDefeated');
     }
 
     // Reset enemy damage system (for new levels or when restarting)
@@ -227,14 +360,33 @@
         enemyState.currentHealth = enemyHealthConfig.maxHealth;
         enemyState.totalDamageDealt = 0;
         enemyState.linesCompleted = 0;
+        enemyState.hitTargets = {};
         enemyState.isDefeated = false;
         
         // Update health bar
         updateHealthBar();
         
+        // Boss phases go back to the first phase with the enemy model restored
+        GameHooks.emit('enemyReset');
+        
         console.log("Enemy damage system reset");
     }
 
+    // Change the enemy's maximum health (e.g. for the difficulty) - takes effect on the next reset
+    function setMaxHealth(maxHealth) {
+        if (!(maxHealth > 0)) {
+            console.warn("Invalid enemy max health:", maxHealth);
+            return;
+        }
+        
+        enemyHealthConfig.maxHealth = Math.round(maxHealth);
+        
+        // Re-split the health if a track is already loaded
+        if (enemyState.targetOrder.length > 0) {
+            buildDamagePlan();
+        }
+    }
+
     // Get enemy state for other systems
     function getEnemyState() {
         return {
@@ -244,6 +396,7 @@
             totalDamageDealt: enemyState.totalDamageDealt,
             linesCompleted: enemyState.linesCompleted,
             lineCount: enemyState.lineCount,
+            isKillable: isKillable(getLatestHitIndex()),
             isDefeated: enemyState.isDefeated
         };
     }
@@ -309,7 +462,12 @@
         setCurrentTrack: setCurrentTrack,
         resetSystem: resetEnemyDamageSystem,
         getState: getEnemyState,
+        getDamagePlan: getDamagePlan,
+        setWeighting: setWeighting,
+        setMaxHealth: setMaxHealth,
+        isKillable: isKillable,
         showUI: showUI,
         hideUI: hideUI
     };
+    GameHooks.register('EnemyDamage', window.EnemyDamage);
 })();
@@ -1,5 +1,7 @@
 // enemy_movement.js - Handles enemy movement and behavior
 // This file contains the logic for enemy movement in SynthBoarders
+// The enemy runs a small behaviour state machine (advance, retreat, strafe, cover, windup, stagger)
+// whose choices react to the player's hits, combos and failures and to the boss phase
 
 // Using an IIFE to encapsulate our code and prevent global namespace pollution
 (function() {
@@ -10,25 +12,75 @@
         maxX: 40,                 // Maximum X position (right boundary, matching game's coordinate system)
         initialPosition: 30,      // Initial X position (within visible area)
         initialPositionY: 2.5,    // Initial Y position (0.5 units higher than default of 2)
-        crouchProbability: 0.005, // Probability of initiating a crouch per frame
-        crouchDuration: 60,       // How long to stay crouched (in frames)
         crouchAmount: 10,         // Total vertical travel for head (based on learnings)
         crouchScale: 1.4,         // Y-scale factor to apply when crouching (compresses model)
         crouchPositionY: -1.5,    // Y-position adjustment to keep feet grounded (-1.5 units)
-        changeDirectionChance: 0.002, // Chance to randomly change direction
-        pauseChance: 0.002,       // Chance to pause movement
-        pauseDuration: 60,        // How long to pause (in frames)
+        speedScale: 1,            // Difficulty multiplier applied to moveSpeed
+        beatCrouchChance: 0.15,   // Chance to duck into cover on each beat of the music (when beat-synced)
+        advanceSpeed: 1.2,        // Multiplier on moveSpeed while advancing
+        retreatSpeed: 1.4,        // Multiplier on moveSpeed while retreating
+        strafeTurnChance: 0.01,   // Chance per frame (at 60fps) to turn around while strafing
+        staggerKnockback: 0.6,    // Units per frame the enemy is knocked back at the start of a stagger
+        staggerTilt: 0.3,         // Radians the enemy rocks back when staggered
+        windupLean: 0.15,         // Radians the enemy leans back while winding up an attack
+        comboThreshold: 3,        // Player combo at which the enemy starts backing off and taking cover
+        behaviourDurations: {     // Frames (at 60fps) each behaviour lasts: [min, max]
+            advance: [60, 120],
+            retreat: [60, 120],
+            strafe: [120, 240],
+            cover: [60, 90],
+            windup: [45, 45],
+            stagger: [24, 24]
+        },
+        behaviourWeights: {       // How often each behaviour is picked when the last one ends
+            advance: 1,
+            retreat: 1,
+            strafe: 3,
+            cover: 1.5,
+            windup: 1
+        }
+    };
+
+    // Multipliers on the behaviour weights for the enemy's mood
+    // calm: nothing happening, pressured: the player is on a combo, aggressive: the player is
+    // failing targets or a boss phase enraged the enemy, desperate: the enemy is nearly beaten
+    const moodWeights = {
+        calm: {},
+        pressured: { advance: 0.5, retreat: 2, cover: 3 },
+        aggressive: { advance: 2, cover: 0.5, windup: 2.5 },
+        desperate: { strafe: 0.5, cover: 2, windup: 3 }
+    };
+
+    // Enemy archetypes selected per track by the track manifest
+    // Each archetype overrides some of the movement config values above
+    const enemyArchetypes = {
+        trooper: {                // Default enemy - steady pacing, takes cover often
+            moveSpeed: 0.15,
+            behaviourWeights: { advance: 1, retreat: 1, strafe: 3, cover: 1.5, windup: 1 }
+        },
+        gunner: {                 // Faster, pushier enemy for later tracks
+            moveSpeed: 0.25,
+            behaviourWeights: { advance: 2, retreat: 0.5, strafe: 2, cover: 1, windup: 2 }
+        }
     };
 
     // State variables
     let enemyState = {
         direction: -1,            // -1 = left, 1 = right
         isCrouching: false,       // Whether enemy is currently crouched
-        crouchTimer: 0,           // Timer for crouching animation
-        isPaused: false,          // Whether enemy is paused
-        pauseTimer: 0,            // Timer for pause duration
+        behaviour: 'strafe',      // Current AI behaviour: advance, retreat, strafe, cover, windup or stagger
+        behaviourTimer: 0,        // Frames left in the current behaviour
+        queuedBehaviour: null,    // Behaviour an event asked for after the current one
+        attackStance: 'high',     // Stance the windup started in ('high' standing, 'low' crouched)
+        knockback: 0,             // Current stagger knockback speed
+        playerCombo: 0,           // Player's combo at the last completed target
+        recentFailures: 0,        // Targets the player failed since their last completed one
+        phaseSpeedScale: 1,       // Boss phase multiplier applied to moveSpeed
+        phaseMood: null,          // Mood forced by the boss phase (null lets the enemy react freely)
+        attackHandler: null,      // Called with the stance when a windup ends - fires the attack
         originalScale: 1,         // Original Y scale of the enemy model
         originalY: 0,             // Original Y position of the entire enemy model
+        beatSynced: false,        // Whether the enemy may also duck into cover on the music's beats
         bodyParts: {              // Store references to body parts
             head: null,
             body: null,
@@ -133,12 +185,16 @@
     }
 
     // Update enemy position and behavior
+    // deltaTime is the frame's game time in seconds (0 while paused), so speeds, timers and
+    // chances tuned per 60fps frame work the same at any frame rate
     function updateEnemyMovement(enemy, deltaTime) {
         // Safety check
         if (!enemy) {
             return;
         }
 
+        const frameScale = deltaTime * GameClock.config.referenceFps;
+
         // Maintain the base enemy Y position if not crouching
         if (!enemyState.isCrouching) {
             // This ensures the enemy stays at the adjusted base height
@@ -147,77 +203,202 @@
             
             // Make sure we update originalY in case it changed
             enemyState.originalY = enemyConfig.initialPositionY;
+        } else {
+            // Ensure the crouch position adjustment persists while in cover
+            maintainCrouchState(enemy);
         }
-        
-        // Handle crouching first - this ensures the Y position adjustment is maintained throughout
-        handleCrouching(enemy);
-
-        // Check if enemy is paused
-        if (enemyState.isPaused) {
-            enemyState.pauseTimer--;
-            if (enemyState.pauseTimer <= 0) {
-                enemyState.isPaused = false;
-                console.log("Enemy resumed movement");
-            }
-            // Skip horizontal movement while paused
+
+        // Leave the enemy to the entrance animation while it's still off to the right
+        if (enemy.position.x > enemyConfig.maxX + 5) {
             return;
         }
 
-        // Random chance to pause
-        if (Math.random() < enemyConfig.pauseChance) {
-            enemyState.isPaused = true;
-            enemyState.pauseTimer = enemyConfig.pauseDuration;
-            console.log("Enemy paused");
-            return;
+        behaviourUpdates[enemyState.behaviour](enemy, frameScale);
+
+        enemyState.behaviourTimer -= frameScale;
+        if (enemyState.behaviourTimer <= 0) {
+            finishBehaviour(enemy);
         }
+    }
+
+    // Move the enemy along x, turning around at the boundaries
+    function moveEnemy(enemy, speed) {
+        enemy.position.x += enemyState.direction * speed;
 
-        // Random chance to change direction (makes movement seem more natural)
-        if (Math.random() < enemyConfig.changeDirectionChance) {
-            enemyState.direction *= -1;
-            console.log("Enemy changed direction to:", enemyState.direction === -1 ? "left" : "right");
+        if (enemy.position.x <= enemyConfig.minX) {
+            enemy.position.x = enemyConfig.minX;
+            enemyState.direction = 1; // Reverse direction at boundary
+        } else if (enemy.position.x >= enemyConfig.maxX) {
+            enemy.position.x = enemyConfig.maxX;
+            enemyState.direction = -1; // Reverse direction at boundary
         }
+    }
 
-        // Handle movement
-        if (enemyState.direction === -1) {
-            // Moving left (toward player)
-            enemy.position.x -= enemyConfig.moveSpeed;
-            
-            // Check boundary
-            if (enemy.position.x <= enemyConfig.minX) {
-                enemy.position.x = enemyConfig.minX;
-                enemyState.direction = 1; // Reverse direction at boundary
-                console.log("Enemy reached left boundary, turning around");
-            }
-        } else {
-            // Moving right (away from player)
-            enemy.position.x += enemyConfig.moveSpeed;
-            
-            // Check boundary
-            if (enemy.position.x >= enemyConfig.maxX) {
-                enemy.position.x = enemyConfig.maxX;
-                enemyState.direction = -1; // Reverse direction at boundary
-                console.log("Enemy reached right boundary, turning around");
+    // Walking speed per frame (at 60fps) with the difficulty and boss phase multipliers
+    function getMoveSpeed() {
+        return enemyConfig.moveSpeed * enemyConfig.speedScale * enemyState.phaseSpeedScale;
+    }
+
+    // Per-frame behaviour updates
+    const behaviourUpdates = {
+        // Walk towards the player
+        advance: function(enemy, frameScale) {
+            enemyState.direction = -1;
+            moveEnemy(enemy, getMoveSpeed() * enemyConfig.advanceSpeed * frameScale);
+        },
+
+        // Back away from the player
+        retreat: function(enemy, frameScale) {
+            enemyState.direction = 1;
+            moveEnemy(enemy, getMoveSpeed() * enemyConfig.retreatSpeed * frameScale);
+        },
+
+        // Pace back and forth
+        strafe: function(enemy, frameScale) {
+            if (GameClock.chance(enemyConfig.strafeTurnChance)) {
+                enemyState.direction *= -1;
             }
+            moveEnemy(enemy, getMoveSpeed() * frameScale);
+        },
+
+        // Stay crouched in place
+        cover: function() {
+        },
+
+        // Hold still and lean back before firing (crouched windups fire low from cover)
+        windup: function(enemy) {
+            enemy.rotation.z = -enemyConfig.windupLean;
+        },
+
+        // Get knocked back and rock, recovering as the stagger ends
+        stagger: function(enemy, frameScale) {
+            enemyState.direction = 1;
+            moveEnemy(enemy, enemyState.knockback * frameScale);
+            enemyState.knockback *= Math.pow(0.85, frameScale);
+
+            const duration = enemyConfig.behaviourDurations.stagger[1];
+            enemy.rotation.z = -enemyConfig.staggerTilt * Math.max(0, enemyState.behaviourTimer) / duration;
         }
+    };
+
+    // Work out the enemy's mood from the boss phase and how the player is doing
+    function getMood() {
+        if (enemyState.phaseMood) return enemyState.phaseMood;
+        if (enemyState.recentFailures > 0) return 'aggressive';
+        if (enemyState.playerCombo >= enemyConfig.comboThreshold) return 'pressured';
+        return 'calm';
     }
 
-    // Handle enemy crouching behavior
-    function handleCrouching(enemy) {
-        // Random crouching behavior - only initiate if not already crouching
-        if (!enemyState.isCrouching && Math.random() < enemyConfig.crouchProbability) {
+    // Pick the next behaviour from the archetype's weights adjusted for the mood
+    function chooseBehaviour() {
+        const mood = moodWeights[getMood()];
+        const weights = Object.keys(enemyConfig.behaviourWeights).map(name => ({
+            name: name,
+            weight: enemyConfig.behaviourWeights[name] * (mood[name] !== undefined ? mood[name] : 1)
+        }));
+
+        const total = weights.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = GameClock.random() * total;
+        for (let i = 0; i < weights.length; i++) {
+            roll -= weights[i].weight;
+            if (roll < 0) return weights[i].name;
+        }
+        return 'strafe';
+    }
+
+    // Switch to a behaviour, undoing the pose of the one it replaces
+    function setBehaviour(enemy, name) {
+        const previous = enemyState.behaviour;
+        const [minFrames, maxFrames] = enemyConfig.behaviourDurations[name];
+
+        // Windups from cover stay crouched so the attack fires low
+        if (enemyState.isCrouching && name !== 'cover' && !(name === 'windup' && previous === 'cover')) {
+            stopCrouching(enemy);
+        }
+        if (previous === 'windup' || previous === 'stagger') {
+            enemy.rotation.z = 0;
+        }
+
+        enemyState.behaviour = name;
+        enemyState.behaviourTimer = minFrames + GameClock.random() * (maxFrames - minFrames);
+
+        if (name === 'cover' && !enemyState.isCrouching) {
             startCrouching(enemy);
+        } else if (name === 'windup') {
+            enemyState.attackStance = enemyState.isCrouching ? 'low' : 'high';
+        } else if (name === 'stagger') {
+            enemyState.knockback = enemyConfig.staggerKnockback;
         }
-        
-        // If we're crouching, make sure to maintain the position/scale throughout the crouch duration
-        if (enemyState.isCrouching) {
-            // Ensure the position adjustment persists for the entire crouch duration
-            maintainCrouchState(enemy);
-            
-            // Decrement the timer
-            enemyState.crouchTimer--;
-            if (enemyState.crouchTimer <= 0) {
-                stopCrouching(enemy);
-            }
+
+        console.log(`Enemy behaviour: ${previous} -> ${name}`);
+    }
+
+    // End the current behaviour - windups fire their attack - and start the next one
+    function finishBehaviour(enemy) {
+        if (enemyState.behaviour === 'windup' && enemyState.attackHandler) {
+            enemyState.attackHandler(enemyState.attackStance);
+        }
+
+        const next = enemyState.queuedBehaviour || chooseBehaviour();
+        enemyState.queuedBehaviour = null;
+        setBehaviour(enemy, next);
+    }
+
+    // Take on a boss phase's speed and mood (follows EnemyPhases' phaseChanged event)
+    // Every phase after the first makes the enemy hit back straight away
+    function setPhase(phase, index) {
+        enemyState.phaseSpeedScale = phase.speedScale > 0 ? phase.speedScale : 1;
+        enemyState.phaseMood = moodWeights[phase.mood] ? phase.mood : null;
+        if (index > 0) {
+            enemyState.queuedBehaviour = 'windup';
+        }
+    }
+
+    GameHooks.on('phaseChanged', event => setPhase(event.phase, event.index));
+
+    // The player completed a target: the enemy staggers (cancelling any windup), then reacts to
+    // the combo unless a new boss phase already queued its attack
+    // info: { combo } - the player's combo after the hit
+    function onTargetCompleted(enemy, info = {}) {
+        if (!enemy) return;
+
+        enemyState.playerCombo = info.combo || 0;
+        enemyState.recentFailures = 0;
+
+        if (!enemyState.queuedBehaviour && enemyState.playerCombo >= enemyConfig.comboThreshold) {
+            enemyState.queuedBehaviour = GameClock.random() < 0.5 ? 'cover' : 'retreat';
+        }
+
+        setBehaviour(enemy, 'stagger');
+    }
+
+    // The player failed a target: the enemy presses forward and winds up an attack
+    function onTargetFailed(enemy) {
+        if (!enemy) return;
+
+        enemyState.playerCombo = 0;
+        enemyState.recentFailures++;
+
+        if (enemyState.behaviour !== 'stagger' && enemyState.behaviour !== 'windup') {
+            setBehaviour(enemy, 'advance');
+            enemyState.queuedBehaviour = 'windup';
+        }
+    }
+
+    // Set the function that fires the enemy's attack when a windup ends
+    // handler(stance) - stance is 'high' (standing) or 'low' (crouched in cover)
+    function setAttackHandler(handler) {
+        enemyState.attackHandler = handler;
+    }
+
+    // Start a new battle calm, standing and strafing
+    function resetBehaviour(enemy) {
+        enemyState.playerCombo = 0;
+        enemyState.recentFailures = 0;
+        enemyState.queuedBehaviour = null;
+        enemyState.direction = -1;
+        if (enemy) {
+            setBehaviour(enemy, 'strafe');
         }
     }
 
@@ -254,7 +435,6 @@
     // Start enemy crouching animation using the improved approach
     function startCrouching(enemy) {
         enemyState.isCrouching = true;
-        enemyState.crouchTimer = enemyConfig.crouchDuration;
         
         // Calculate the expected crouch position
         const crouchYPosition = enemyConfig.initialPositionY + enemyConfig.crouchPositionY;
@@ -282,6 +462,7 @@
         
         // Apply the crouch state immediately
         maintainCrouchState(enemy);
+        notifyStanceChange();
         
         console.log("Enemy crouching with improved animation");
     }
@@ -316,20 +497,74 @@
             weapon.position.y = weapon.userData.originalY;
         }
         
+        notifyStanceChange();
         console.log("Enemy stopped crouching");
     }
 
+    // Announce that the gun has moved, so the bullet origin lets the first shot from the new stance
+    // through without waiting out its high/low shot cooldown
+    function notifyStanceChange() {
+        GameHooks.emit('enemyStanceChanged', { isCrouching: enemyState.isCrouching });
+    }
+
     // Change enemy position for game events
     function setEnemyPosition(xPosition) {
         enemyConfig.initialPosition = xPosition;
     }
 
+    // Apply an enemy archetype's movement settings
+    function setEnemyArchetype(name) {
+        const archetype = enemyArchetypes[name];
+        if (!archetype) {
+            console.warn("Unknown enemy archetype:", name, "- using trooper");
+            Object.assign(enemyConfig, enemyArchetypes.trooper);
+            return;
+        }
+        
+        Object.assign(enemyConfig, archetype);
+        console.log("Enemy archetype set to:", name);
+    }
+
+    // Called on each beat of the music - a moving enemy may duck into cover on the beat
+    function onBeat(enemy) {
+        if (!enemy || !enemyState.beatSynced) {
+            return;
+        }
+        
+        const moving = enemyState.behaviour === 'strafe' || enemyState.behaviour === 'advance';
+        if (moving && GameClock.random() < enemyConfig.beatCrouchChance) {
+            setBehaviour(enemy, 'cover');
+        }
+    }
+
+    // Switch beat-synced cover on or off (off leaves cover to the behaviour weights alone)
+    function setBeatSync(enabled) {
+        enemyState.beatSynced = !!enabled;
+    }
+
+    // Scale the enemy's movement speed (used by the difficulty presets)
+    function setSpeedScale(scale) {
+        enemyConfig.speedScale = scale > 0 ? scale : 1;
+        console.log("Enemy speed scale set to:", enemyConfig.speedScale);
+    }
+
     // Export all functions to be used in the main game
     window.EnemyMovement = {
         init: initEnemyMovement,
         update: updateEnemyMovement,
         setPosition: setEnemyPosition,
+        setArchetype: setEnemyArchetype,
+        setSpeedScale: setSpeedScale,
+        setPhase: setPhase,
+        setBeatSync: setBeatSync,
+        onBeat: onBeat,
+        onTargetCompleted: onTargetCompleted,
+        onTargetFailed: onTargetFailed,
+        setAttackHandler: setAttackHandler,
+        reset: resetBehaviour,
+        archetypes: enemyArchetypes,
         config: enemyConfig,
         state: enemyState
     };
+    GameHooks.register('EnemyMovement', window.EnemyMovement);
 })();
@@ -0,0 +1,379 @@
+// enemy_phases.js - Handles boss phases and the enemy defeat sequence
+// Crossing a health threshold switches the enemy into its next phase, which adds bullet patterns,
+// speeds up its movement and changes its visor and core pulse, introduced by a short cinematic.
+// Defeat plays an explosion before the enemy collapses and fades away
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for phases and the defeat sequence
+    const phaseConfig = {
+        // Phases in order - each starts once health falls to its threshold (share of max health)
+        phases: [
+            {
+                name: 'assault',
+                label: 'Assault',
+                threshold: 1,
+                patterns: [],               // Random patterns added to the track's own (or to its timeline)
+                patternScale: 1,            // Multiplier on the random pattern chances
+                speedScale: 1,              // Multiplier on the enemy's movement speed
+                mood: null,                 // Mood forced on the enemy AI (null lets it react freely)
+                visorColors: [0xff0000, 0xdd0000], // Visor flash colors (on, off)
+                visorFlashRate: 2,          // Visor flash speed
+                coreColor: { r: 0, g: 1, b: 1 },   // Core color at the top of its pulse (blue holds steady)
+                corePulseRate: 4            // Core pulse speed
+            },
+            {
+                name: 'enraged',
+                label: 'Enraged',
+                threshold: 0.5,
+                patterns: ['stream'],
+                patternScale: 1.3,
+                speedScale: 1.3,
+                mood: 'aggressive',
+                visorColors: [0xff8800, 0xaa3300],
+                visorFlashRate: 4,
+                coreColor: { r: 1, g: 0, b: 1 },
+                corePulseRate: 6
+            },
+            {
+                name: 'overdrive',
+                label: 'Overdrive',
+                threshold: 0.2,
+                patterns: ['stream', 'verticalLane'],
+                patternScale: 1.6,
+                speedScale: 1.6,
+                mood: 'desperate',
+                visorColors: [0xffffff, 0xff0000],
+                visorFlashRate: 8,
+                coreColor: { r: 1, g: 0.2, b: 0.2 },
+                corePulseRate: 10
+            }
+        ],
+        transitionDuration: 1500,   // ms the phase banner and enemy roar last
+        roarScale: 0.25,            // Extra width the enemy swells by during the roar
+        shockwaveDuration: 700,     // ms a shockwave ring takes to expand and fade
+        shockwaveRadius: 25,        // Radius a shockwave ring expands to
+        explosionParticles: 40,     // Particles thrown out when the enemy is defeated
+        collapseDuration: 900,      // ms the enemy takes to topple
+        fadeStart: 600,             // ms after defeat the enemy starts fading
+        fadeDuration: 1600          // ms the fade takes
+    };
+
+    // State variables for phases
+    const phaseState = {
+        scene: null,                // Scene the effects are added to
+        enemy: null,                // Enemy model
+        handlers: {},               // { onPhaseChange(phase, index), onDefeat() } from the game
+        phaseIndex: 0,              // Current phase
+        transitionStart: null,      // Game time the current phase cinematic started (null when none)
+        shockwaves: [],             // Expanding rings: { mesh, startTime }
+        particles: [],              // Explosion particles: { mesh, velocity, life }
+        defeatStart: null,          // Game time the defeat sequence started (null when not defeated)
+        savedMaterials: [],         // Enemy materials' original transparency: { material, transparent, opacity }
+        particleGeometry: null      // Shared explosion particle geometry
+    };
+
+    // Set up the effects for the enemy model
+    // handlers: { onPhaseChange(phase, index), onDefeat() } - gameplay reactions owned by the game
+    function initPhases(scene, enemy, handlers = {}) {
+        phaseState.scene = scene;
+        phaseState.enemy = enemy;
+        phaseState.handlers = handlers;
+        resetPhases();
+        console.log(`Enemy phases initialized: ${phaseConfig.phases.map(phase => phase.name).join(', ')}`);
+    }
+
+    // The current phase's settings
+    function getPhase() {
+        return phaseConfig.phases[phaseState.phaseIndex];
+    }
+
+    // The current phase's position in the list (0 for the first)
+    function getPhaseIndex() {
+        return phaseState.phaseIndex;
+    }
+
+    // Phase for a share of max health - the last phase whose threshold has been reached
+    function findPhaseIndex(healthFraction) {
+        let index = 0;
+        phaseConfig.phases.forEach((phase, i) => {
+            if (healthFraction <= phase.threshold) {
+                index = i;
+            }
+        });
+        return index;
+    }
+
+    // Called by the damage system whenever the enemy's health changes
+    // Phases only move forward - a big hit past several thresholds goes straight to the last one
+    function onHealthChanged(healthFraction) {
+        if (phaseState.defeatStart !== null) return;
+
+        const index = findPhaseIndex(healthFraction);
+        if (index > phaseState.phaseIndex) {
+            enterPhase(index);
+        }
+    }
+
+    // Switch to a phase and play its cinematic
+    function enterPhase(index) {
+        phaseState.phaseIndex = index;
+        const phase = getPhase();
+        console.log(`Enemy enters phase ${index + 1}: ${phase.label}`);
+        GameHooks.emit('phaseChanged', { phase: phase, index: index });
+
+        phaseState.transitionStart = GameClock.now();
+        showBanner(`Phase ${index + 1} - ${phase.label}`);
+        addShockwave(phase.visorColors[0]);
+
+        if (phaseState.handlers.onPhaseChange) {
+            phaseState.handlers.onPhaseChange(phase, index);
+        }
+    }
+
+    // Show the phase banner for the length of the cinematic
+    function showBanner(text) {
+        const banner = document.getElementById('phase-banner');
+        if (!banner) return;
+
+        banner.textContent = text;
+        banner.style.display = 'block';
+        GameClock.setTimeout(() => {
+            banner.style.display = 'none';
+        }, phaseConfig.transitionDuration);
+    }
+
+    // Hide the phase banner straight away
+    function hideBanner() {
+        const banner = document.getElementById('phase-banner');
+        if (banner) banner.style.display = 'none';
+    }
+
+    // Start a ring expanding out from the enemy
+    function addShockwave(color) {
+        if (!phaseState.scene || !phaseState.enemy) return;
+
+        const mesh = new THREE.Mesh(
+            new THREE.RingGeometry(0.8, 1, 48),
+            new THREE.MeshBasicMaterial({ color: color, transparent: true, opacity: 0.9, side: THREE.DoubleSide })
+        );
+        mesh.position.copy(phaseState.enemy.position);
+        mesh.position.y += 5;
+        phaseState.scene.add(mesh);
+        phaseState.shockwaves.push({ mesh: mesh, startTime: GameClock.now() });
+    }
+
+    // Throw out the explosion particles from the enemy's body
+    function addExplosion() {
+        if (!phaseState.scene || !phaseState.enemy) return;
+
+        if (!phaseState.particleGeometry) {
+            phaseState.particleGeometry = new THREE.SphereGeometry(0.5, 8, 8);
+        }
+
+        const colors = [0xffaa00, 0xff5500, 0xffffff, 0xff00ff];
+        for (let i = 0; i < phaseConfig.explosionParticles; i++) {
+            const mesh = new THREE.Mesh(phaseState.particleGeometry, new THREE.MeshBasicMaterial({
+                color: colors[i % colors.length],
+                transparent: true,
+                opacity: 1
+            }));
+            mesh.position.copy(phaseState.enemy.position);
+            mesh.position.y += 4 + GameClock.random() * 4;
+            phaseState.scene.add(mesh);
+
+            // Random direction, biased upwards (units per frame at 60fps)
+            const angle = GameClock.random() * Math.PI * 2;
+            const speed = 0.4 + GameClock.random() * 0.8;
+            phaseState.particles.push({
+                mesh: mesh,
+                velocity: new THREE.Vector3(Math.cos(angle) * speed, Math.abs(Math.sin(angle)) * speed + 0.3, (GameClock.random() - 0.5) * speed),
+                life: 1
+            });
+        }
+    }
+
+    // Remember the enemy materials' transparency so the fade can be undone
+    function saveMaterials() {
+        phaseState.savedMaterials = [];
+        const seen = new Set();
+        phaseState.enemy.traverse(part => {
+            if (part.material && !seen.has(part.material)) {
+                seen.add(part.material);
+                phaseState.savedMaterials.push({
+                    material: part.material,
+                    transparent: part.material.transparent,
+                    opacity: part.material.opacity
+                });
+            }
+        });
+    }
+
+    // Put the enemy model back as it was before the defeat sequence
+    function restoreEnemy() {
+        const enemy = phaseState.enemy;
+        if (!enemy) return;
+
+        phaseState.savedMaterials.forEach(saved => {
+            saved.material.transparent = saved.transparent;
+            saved.material.opacity = saved.opacity;
+        });
+        phaseState.savedMaterials = [];
+
+        enemy.visible = true;
+        enemy.rotation.z = 0;
+        enemy.scale.set(1, 1, 1);
+    }
+
+    // Start the defeat sequence - called from the damage system's onEnemyDefeated
+    function playDefeat() {
+        if (phaseState.defeatStart !== null || !phaseState.enemy) return;
+
+        console.log("Playing enemy defeat sequence");
+        phaseState.defeatStart = GameClock.now();
+        phaseState.transitionStart = null;
+        hideBanner();
+
+        saveMaterials();
+        phaseState.savedMaterials.forEach(saved => {
+            saved.material.transparent = true;
+        });
+
+        addExplosion();
+        addShockwave(0xffaa00);
+
+        if (phaseState.handlers.onDefeat) {
+            phaseState.handlers.onDefeat();
+        }
+    }
+
+    // Whether the enemy is shielded - it can't be hurt while it roars into a new phase
+    function isShielded() {
+        return phaseState.transitionStart !== null;
+    }
+
+    // Whether the defeat sequence has started (the enemy model belongs to it until the next reset)
+    function isDefeated() {
+        return phaseState.defeatStart !== null;
+    }
+
+    // Remove a mesh with its own material from the scene
+    function removeEffect(mesh, disposeGeometry) {
+        phaseState.scene.remove(mesh);
+        mesh.material.dispose();
+        if (disposeGeometry) mesh.geometry.dispose();
+    }
+
+    // Per-frame update: cinematic roar, shockwaves, explosion particles and the collapse and fade
+    function updatePhases(frameScale) {
+        const now = GameClock.now();
+        const enemy = phaseState.enemy;
+
+        // Phase roar - the enemy swells and settles back
+        if (phaseState.transitionStart !== null && enemy) {
+            const t = (now - phaseState.transitionStart) / phaseConfig.transitionDuration;
+            if (t >= 1) {
+                phaseState.transitionStart = null;
+                enemy.scale.x = 1;
+                enemy.scale.z = 1;
+            } else {
+                const swell = 1 + phaseConfig.roarScale * Math.sin(Math.min(1, t * 2) * Math.PI);
+                enemy.scale.x = swell;
+                enemy.scale.z = swell;
+            }
+        }
+
+        // Shockwave rings
+        phaseState.shockwaves = phaseState.shockwaves.filter(wave => {
+            const t = (now - wave.startTime) / phaseConfig.shockwaveDuration;
+            if (t >= 1) {
+                removeEffect(wave.mesh, true);
+                return false;
+            }
+            wave.mesh.scale.setScalar(1 + t * phaseConfig.shockwaveRadius);
+            wave.mesh.material.opacity = 0.9 * (1 - t);
+            return true;
+        });
+
+        // Explosion particles fly out, fall and fade
+        phaseState.particles = phaseState.particles.filter(particle => {
+            particle.life -= 0.02 * frameScale;
+            if (particle.life <= 0) {
+                removeEffect(particle.mesh, false);
+                return false;
+            }
+            particle.mesh.position.addScaledVector(particle.velocity, frameScale);
+            particle.velocity.y -= 0.03 * frameScale;
+            particle.mesh.material.opacity = particle.life;
+            return true;
+        });
+
+        // Collapse and fade
+        if (phaseState.defeatStart !== null && enemy && enemy.visible) {
+            const elapsed = now - phaseState.defeatStart;
+
+            const collapse = Math.min(1, elapsed / phaseConfig.collapseDuration);
+            const eased = collapse * collapse;
+            enemy.rotation.z = -1.3 * eased;            // Topple backwards, away from the player
+            enemy.scale.y = 1 - 0.4 * eased;
+            enemy.position.y = 2 - 2 * eased;             // Sink from the bob height
+
+            const fade = Math.max(0, Math.min(1, (elapsed - phaseConfig.fadeStart) / phaseConfig.fadeDuration));
+            phaseState.savedMaterials.forEach(saved => {
+                saved.material.opacity = saved.opacity * (1 - fade);
+            });
+
+            if (fade >= 1) {
+                enemy.visible = false;
+                console.log("Enemy defeat sequence finished");
+            }
+        }
+    }
+
+    // Back to the first phase with the enemy restored (for a new or restarted battle)
+    function resetPhases() {
+        phaseState.shockwaves.forEach(wave => removeEffect(wave.mesh, true));
+        phaseState.particles.forEach(particle => removeEffect(particle.mesh, false));
+        phaseState.shockwaves = [];
+        phaseState.particles = [];
+
+        if (phaseState.defeatStart !== null) {
+            restoreEnemy();
+        }
+        phaseState.defeatStart = null;
+        phaseState.transitionStart = null;
+        phaseState.phaseIndex = 0;
+        hideBanner();
+
+        if (phaseState.enemy) {
+            phaseState.enemy.scale.x = 1;
+            phaseState.enemy.scale.z = 1;
+        }
+
+        GameHooks.emit('phaseChanged', { phase: getPhase(), index: 0 });
+    }
+
+    // Follow the enemy's health, defeat and reset
+    GameHooks.on('enemyDamaged', event => {
+        if (!event.isDefeated) {
+            onHealthChanged(event.fraction);
+        }
+    });
+    GameHooks.on('enemyDefeated', playDefeat);
+    GameHooks.on('enemyReset', resetPhases);
+
+    // Export functions to be used in the main game
+    window.EnemyPhases = {
+        init: initPhases,
+        getPhase: getPhase,
+        getPhaseIndex: getPhaseIndex,
+        onHealthChanged: onHealthChanged,
+        playDefeat: playDefeat,
+        isShielded: isShielded,
+        isDefeated: isDefeated,
+        update: updatePhases,
+        reset: resetPhases,
+        config: phaseConfig
+    };
+    GameHooks.register('EnemyPhases', window.EnemyPhases);
+})();
@@ -0,0 +1,183 @@
+// game_clock.js - Handles the game clock shared by every gameplay module
+// Game time only advances while the game is running, so pausing freezes movement, cooldowns
+// and game timers, and per-frame values are scaled by the frame time so speed doesn't
+// depend on the monitor's refresh rate. The clock also owns the seeded random numbers the
+// battle is rolled with, so a replay given the same seed and frame times plays out the same
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the game clock
+    const clockConfig = {
+        referenceFps: 60,           // Frame rate the per-frame constants (speeds, durations) were tuned at
+        maxDelta: 0.1               // Longest frame step in seconds (stops jumps after a stall or tab switch)
+    };
+
+    // State variables for the game clock
+    const clockState = {
+        time: 0,                    // Game time in ms - only advances while running
+        delta: 0,                   // Seconds of game time the current frame covers
+        lastRealTime: null,         // performance.now() at the previous tick
+        paused: false,              // Whether game time is frozen
+        timers: [],                 // Pending game timers: { id, at, callback }
+        nextTimerId: 1,             // Id handed to the next game timer
+        seed: 0,                    // Seed the random numbers were last started from
+        randomState: 0              // Current state of the seeded random number generator
+    };
+
+    // Real time in ms
+    function realNow() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    // Advance the clock - called once at the start of every animation frame
+    // fixedDelta (seconds) replaces the measured frame time, so a replay can repeat a recorded frame
+    // Returns the frame's delta time in seconds (0 while paused)
+    function tick(fixedDelta) {
+        const now = realNow();
+        let realDelta = clockState.lastRealTime === null ? 0 : (now - clockState.lastRealTime) / 1000;
+        clockState.lastRealTime = now;
+
+        // Measured frame times are kept to a tenth of a millisecond so replays can store them exactly
+        realDelta = typeof fixedDelta === 'number' ? fixedDelta : Math.round(realDelta * 10000) / 10000;
+
+        clockState.delta = clockState.paused ? 0 : Math.min(Math.max(realDelta, 0), clockConfig.maxDelta);
+        clockState.time += clockState.delta * 1000;
+
+        runTimers();
+        return clockState.delta;
+    }
+
+    // Fire the game timers that have come due
+    function runTimers() {
+        if (clockState.timers.length === 0) return;
+
+        // Take the due timers out first so callbacks can set new ones
+        const due = clockState.timers.filter(timer => timer.at <= clockState.time);
+        if (due.length === 0) return;
+        clockState.timers = clockState.timers.filter(timer => timer.at > clockState.time);
+
+        due.sort((a, b) => a.at - b.at);
+        due.forEach(timer => {
+            try {
+                timer.callback();
+            } catch (error) {
+                console.error("Game timer failed:", error);
+            }
+        });
+    }
+
+    // Current game time in ms (use instead of Date.now() for gameplay timing)
+    function now() {
+        return clockState.time;
+    }
+
+    // Seconds of game time the current frame covers
+    function getDelta() {
+        return clockState.delta;
+    }
+
+    // The current frame's length in reference frames - multiply per-frame constants by this
+    // (1 at 60fps, 0.5 at 120fps, 0 while paused)
+    function getFrameScale() {
+        return clockState.delta * clockConfig.referenceFps;
+    }
+
+    // Start the random numbers from a seed (a whole number) - the same seed gives the same rolls
+    function setSeed(seed) {
+        clockState.seed = seed >>> 0;
+        clockState.randomState = clockState.seed;
+    }
+
+    // Seed the random numbers were last started from
+    function getSeed() {
+        return clockState.seed;
+    }
+
+    // A new seed for a battle that isn't repeating a recorded one
+    function createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // Seeded random number in [0, 1) (mulberry32) - use instead of Math.random() for anything in the
+    // battle or the 3D scene so replays roll the same numbers (page-only effects can keep Math.random())
+    function random() {
+        clockState.randomState = (clockState.randomState + 0x6D2B79F5) >>> 0;
+        let t = clockState.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Roll a chance given per reference frame, adjusted for the current frame's length
+    function chance(perFrameProbability) {
+        if (perFrameProbability <= 0) return false;
+        const probability = 1 - Math.pow(1 - Math.min(perFrameProbability, 1), getFrameScale());
+        return random() < probability;
+    }
+
+    // Run a callback after a delay in game time - the wait freezes while the game is paused
+    // Returns an id for clearTimeout
+    function setGameTimeout(callback, delay) {
+        const timer = {
+            id: clockState.nextTimerId++,
+            at: clockState.time + Math.max(0, delay || 0),
+            callback: callback
+        };
+        clockState.timers.push(timer);
+        return timer.id;
+    }
+
+    // Cancel a game timer
+    function clearGameTimeout(id) {
+        clockState.timers = clockState.timers.filter(timer => timer.id !== id);
+    }
+
+    // Freeze game time
+    function pause() {
+        if (clockState.paused) return;
+        clockState.paused = true;
+        console.log("Game clock paused at", Math.round(clockState.time), "ms");
+    }
+
+    // Unfreeze game time
+    function resume() {
+        if (!clockState.paused) return;
+        clockState.paused = false;
+        console.log("Game clock resumed");
+    }
+
+    // Whether game time is frozen
+    function isPaused() {
+        return clockState.paused;
+    }
+
+    // Drop every pending game timer and unpause (for a new or restarted battle)
+    // Game time itself keeps counting so cooldowns measured against now() stay valid
+    function reset() {
+        clockState.timers = [];
+        clockState.paused = false;
+    }
+
+    setSeed(createSeed());
+
+    // Export functions to be used in the main game
+    window.GameClock = {
+        tick: tick,
+        now: now,
+        getDelta: getDelta,
+        getFrameScale: getFrameScale,
+        chance: chance,
+        random: random,
+        setSeed: setSeed,
+        getSeed: getSeed,
+        createSeed: createSeed,
+        setTimeout: setGameTimeout,
+        clearTimeout: clearGameTimeout,
+        pause: pause,
+        resume: resume,
+        isPaused: isPaused,
+        reset: reset,
+        config: clockConfig
+    };
+    GameHooks.register('GameClock', window.GameClock);
+})();
@@ -0,0 +1,182 @@
+// game_hooks.js - Handles the game's event bus, module registry and extension hooks
+// Modules register themselves by name and announce what happens in a battle as events, so other
+// modules and add-on scripts can wait for a module or listen for an event instead of probing and
+// replacing window globals. Bullet factories and collision handlers are registered here too.
+// Loaded before every other script so anything can register or subscribe as soon as it runs
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Events that can be emitted, and what comes with each one
+    const gameEvents = {
+        targetStarted: 'A typing target appears: { target, lyricIndex, timeWindow }',
+        targetCompleted: 'A target is typed: { target, lyricIndex, timeTaken, outcome }',
+        targetFailed: 'A target times out or fails on mistakes: { target, lyricIndex, outcome }',
+        shotFired: 'The player fires a shot at the enemy: { targetLength, combo }',
+        bulletSpawned: 'An enemy bullet is fired: { bullet, spec }',
+        playerHit: 'A bullet hits the player: { damage, shieldAbsorbed, remainingHealth, remainingShield, isDefeated }',
+        enemyDamaged: 'The enemy takes damage: { damage, health, maxHealth, fraction, isDefeated }',
+        enemyDefeated: 'The enemy\'s health reaches zero: {}',
+        enemyReset: 'The enemy is back to full health for a new battle: {}',
+        enemyStanceChanged: 'The enemy crouches or stands up: { isCrouching }',
+        phaseChanged: 'The enemy enters a boss phase (index 0 on a reset): { phase, index }',
+        songEnded: 'The track\'s music finishes during a battle: { trackId }'
+    };
+
+    // State variables for the hooks
+    const hookState = {
+        listeners: {},              // Event name -> handlers
+        modules: {},                // Module name -> module
+        moduleWaiters: {},          // Module name -> callbacks waiting for it to register
+        bulletFactories: {},        // Bullet pattern name -> { factory, isDefault }
+        collisionHandlers: []       // Called with each bullet that hits or grazes the player
+    };
+
+    // Listen for an event - returns a function that stops listening
+    function on(eventName, handler) {
+        if (!gameEvents[eventName]) {
+            console.warn("Listening for an unknown game event:", eventName);
+        }
+
+        hookState.listeners[eventName] = hookState.listeners[eventName] || [];
+        hookState.listeners[eventName].push(handler);
+        return () => off(eventName, handler);
+    }
+
+    // Listen for the next time an event happens only
+    function once(eventName, handler) {
+        const stop = on(eventName, payload => {
+            stop();
+            handler(payload);
+        });
+        return stop;
+    }
+
+    // Stop listening for an event
+    function off(eventName, handler) {
+        const handlers = hookState.listeners[eventName];
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    // Announce an event - a handler that throws is logged and doesn't stop the others
+    function emit(eventName, payload = {}) {
+        if (!gameEvents[eventName]) {
+            console.warn("Emitting an unknown game event:", eventName);
+        }
+
+        // Copy the list so handlers can stop listening while it runs
+        const handlers = (hookState.listeners[eventName] || []).slice();
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in a ${eventName} handler:`, error);
+            }
+        });
+    }
+
+    // Register a module by name and hand it to anything waiting for it
+    function register(name, module) {
+        if (hookState.modules[name] && hookState.modules[name] !== module) {
+            console.warn("Replacing registered module:", name);
+        }
+        hookState.modules[name] = module;
+
+        const waiters = hookState.moduleWaiters[name] || [];
+        delete hookState.moduleWaiters[name];
+        waiters.forEach(callback => callback(module));
+        return module;
+    }
+
+    // Get a registered module (null if it hasn't registered)
+    function get(name) {
+        return hookState.modules[name] || null;
+    }
+
+    // Call a function with a module once it has registered (straight away if it already has)
+    function whenRegistered(name, callback) {
+        if (hookState.modules[name]) {
+            callback(hookState.modules[name]);
+            return;
+        }
+
+        hookState.moduleWaiters[name] = hookState.moduleWaiters[name] || [];
+        hookState.moduleWaiters[name].push(callback);
+    }
+
+    // Names of the registered modules
+    function listModules() {
+        return Object.keys(hookState.modules);
+    }
+
+    // Register the function that fires a bullet pattern - factory(options) gets whatever the caller
+    // passed to fireBullet, e.g. { stance } for the shot ending an enemy windup
+    // A default (options.isDefault) never replaces a factory registered without it, so an add-on's
+    // factory wins whichever script loads first
+    function registerBulletFactory(patternName, factory, options = {}) {
+        const existing = hookState.bulletFactories[patternName];
+        if (options.isDefault && existing && !existing.isDefault) {
+            return false;
+        }
+
+        hookState.bulletFactories[patternName] = { factory: factory, isDefault: !!options.isDefault };
+        console.log(`Bullet factory registered for ${patternName}${options.isDefault ? " (default)" : ""}`);
+        return true;
+    }
+
+    // Fire a bullet pattern with its registered factory - returns false if the pattern has none
+    function fireBullet(patternName, options = {}) {
+        const entry = hookState.bulletFactories[patternName];
+        if (!entry) {
+            console.warn("Unknown bullet pattern:", patternName);
+            return false;
+        }
+
+        entry.factory(options);
+        return true;
+    }
+
+    // Register a function called with each bullet that hits or grazes the player
+    // handler(bullet, collision) runs before the bullet goes back to the pool - collision is 'hit' or 'graze'
+    function registerCollisionHandler(handler) {
+        hookState.collisionHandlers.push(handler);
+        return () => {
+            const index = hookState.collisionHandlers.indexOf(handler);
+            if (index !== -1) {
+                hookState.collisionHandlers.splice(index, 1);
+            }
+        };
+    }
+
+    // Run the collision handlers for a bullet that hit or grazed the player
+    function handleCollision(bullet, collision) {
+        hookState.collisionHandlers.forEach(handler => {
+            try {
+                handler(bullet, collision);
+            } catch (error) {
+                console.error("Error in a collision handler:", error);
+            }
+        });
+    }
+
+    // Export functions to be used in the main game
+    window.GameHooks = {
+        on: on,
+        once: once,
+        off: off,
+        emit: emit,
+        register: register,
+        get: get,
+        whenRegistered: whenRegistered,
+        listModules: listModules,
+        registerBulletFactory: registerBulletFactory,
+        fireBullet: fireBullet,
+        registerCollisionHandler: registerCollisionHandler,
+        handleCollision: handleCollision,
+        events: gameEvents
+    };
+})();
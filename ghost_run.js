@@ -0,0 +1,251 @@
+// ghost_run.js - Handles racing against the player's best run on a track
+// While a battle is played its typed input, score and accuracy are sampled against the song's time.
+// The best run for each track and difficulty is kept as a ghost, shown on the HUD in the next battle
+// as a second translucent input line with its running score, accuracy and how far ahead or behind the player is
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for ghost runs
+    const ghostConfig = {
+        storageKey: 'synthpocalypse-ghosts',            // localStorage key for the saved ghosts
+        enabledKey: 'synthpocalypse-ghost-enabled',     // Remembers whether ghost mode is on between visits
+        version: 1,                 // Current ghost format version
+        aheadColor: '#00ff00',      // Delta color when the player is ahead of the ghost
+        behindColor: '#ff3333',     // Delta color when the player is behind the ghost
+        evenColor: '#aaaaaa'        // Delta color when the player and the ghost are level
+    };
+
+    // State variables for the battle being played
+    const ghostState = {
+        enabled: true,              // Whether ghost mode is on
+        trackId: null,              // Track of the current battle
+        recordKey: null,            // Leaderboard key (difficulty and typing mode) of the current battle
+        recording: null,            // Samples of the current run, or null when it isn't being recorded
+        ghost: null,                // Best run being raced: { score, accuracy, outcome, recordedAt, samples }
+        sampleIndex: -1,            // Ghost sample shown for the current song time
+        shownDelta: null            // Delta on the HUD (so the page is only touched when it changes)
+    };
+
+    // A sample is [time (ms), input, score, accuracy] - kept as an array so saved ghosts stay small
+    function createSample(time, player) {
+        return [Math.round(time * 1000), player.input || "", player.score || 0, player.accuracy || 0];
+    }
+
+    // Check that a ghost has the shape we expect
+    function isValidGhost(data) {
+        return !!data &&
+               typeof data === 'object' &&
+               data.version === ghostConfig.version &&
+               typeof data.score === 'number' &&
+               Array.isArray(data.samples);
+    }
+
+    // The saved ghosts: trackId -> record key -> ghost
+    function loadGhosts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ghostConfig.storageKey) || "{}");
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.warn("Could not read saved ghosts:", error);
+            return {};
+        }
+    }
+
+    // The best run for a track and record key, or null if it hasn't been played
+    function getBest(trackId, recordKey) {
+        const ghosts = loadGhosts();
+        const ghost = ghosts[trackId] && ghosts[trackId][recordKey];
+        return isValidGhost(ghost) ? ghost : null;
+    }
+
+    // Keep a run as the ghost for its track and record key
+    function saveGhost(trackId, recordKey, ghost) {
+        const ghosts = loadGhosts();
+        ghosts[trackId] = ghosts[trackId] || {};
+        ghosts[trackId][recordKey] = ghost;
+
+        try {
+            localStorage.setItem(ghostConfig.storageKey, JSON.stringify(ghosts));
+            return true;
+        } catch (error) {
+            console.warn("Could not save the ghost run:", error);
+            return false;
+        }
+    }
+
+    // Start a battle: loads the best run to race and starts sampling this one
+    // (record: false races the ghost without keeping the run, e.g. editor previews and replays)
+    // info: { trackId, recordKey, record }
+    function beginBattle(info) {
+        ghostState.trackId = info.trackId;
+        ghostState.recordKey = info.recordKey;
+        ghostState.recording = info.record === false ? null : [];
+        ghostState.ghost = ghostState.enabled ? getBest(info.trackId, info.recordKey) : null;
+        ghostState.sampleIndex = -1;
+        ghostState.shownDelta = null;
+
+        showHUD(!!ghostState.ghost);
+        if (ghostState.ghost) {
+            console.log(`Racing ghost for ${info.trackId} (${info.recordKey}): ${ghostState.ghost.score} points`);
+        }
+    }
+
+    // Per-frame update: sample the player's run and move the ghost to the song's time
+    // player: { input, score, accuracy }
+    function updateGhost(songTime, player) {
+        const recording = ghostState.recording;
+        if (recording) {
+            const sample = createSample(songTime, player);
+            const last = recording[recording.length - 1];
+
+            // Only changes are kept - the ghost holds each sample until the next one
+            if (!last || last[1] !== sample[1] || last[2] !== sample[2] || last[3] !== sample[3]) {
+                recording.push(sample);
+            }
+        }
+
+        if (ghostState.ghost) {
+            showGhostAt(songTime, player.score || 0);
+        }
+    }
+
+    // Find the ghost's sample for a song time (the song only moves forward, except on a restart)
+    function findSampleIndex(timeMs) {
+        const samples = ghostState.ghost.samples;
+        let index = ghostState.sampleIndex;
+
+        if (index >= 0 && samples[index][0] > timeMs) {
+            index = -1;
+        }
+        while (index + 1 < samples.length && samples[index + 1][0] <= timeMs) {
+            index++;
+        }
+        return index;
+    }
+
+    // Show what the ghost had done at a song time, and the player's score against it
+    function showGhostAt(songTime, playerScore) {
+        const samples = ghostState.ghost.samples;
+        const index = findSampleIndex(Math.round(songTime * 1000));
+        const sample = index >= 0 ? samples[index] : null;
+
+        if (index !== ghostState.sampleIndex) {
+            ghostState.sampleIndex = index;
+
+            const inputElement = document.getElementById('ghost-input');
+            const scoreElement = document.getElementById('ghost-score');
+            const accuracyElement = document.getElementById('ghost-accuracy');
+            if (inputElement) inputElement.textContent = sample ? sample[1] : "";
+            if (scoreElement) scoreElement.textContent = sample ? sample[2] : 0;
+            if (accuracyElement) accuracyElement.textContent = (sample ? sample[3] : 0) + "%";
+        }
+
+        const delta = playerScore - (sample ? sample[2] : 0);
+        if (delta !== ghostState.shownDelta) {
+            ghostState.shownDelta = delta;
+
+            const deltaElement = document.getElementById('ghost-delta');
+            if (deltaElement) {
+                deltaElement.textContent = delta > 0 ? `+${delta} ahead` : delta < 0 ? `${delta} behind` : "level";
+                deltaElement.style.color = delta > 0 ? ghostConfig.aheadColor : delta < 0 ? ghostConfig.behindColor : ghostConfig.evenColor;
+            }
+        }
+    }
+
+    // Finish the battle - the run becomes the ghost if it beat the best score
+    // result: { outcome, score, accuracy }
+    // Returns true if a new best was saved
+    function finishBattle(result) {
+        const recording = ghostState.recording;
+        ghostState.recording = null;
+        if (!recording || recording.length === 0 || !ghostState.trackId) return false;
+
+        const best = getBest(ghostState.trackId, ghostState.recordKey);
+        if (best && best.score >= result.score) return false;
+
+        const saved = saveGhost(ghostState.trackId, ghostState.recordKey, {
+            version: ghostConfig.version,
+            score: result.score,
+            accuracy: result.accuracy,
+            outcome: result.outcome,
+            recordedAt: new Date().toISOString(),
+            samples: recording
+        });
+
+        if (saved) {
+            console.log(`New ghost for ${ghostState.trackId} (${ghostState.recordKey}): ${result.score} points`);
+        }
+        return saved;
+    }
+
+    // Stop racing and sampling (the battle was abandoned)
+    function cancelBattle() {
+        ghostState.recording = null;
+        ghostState.ghost = null;
+        showHUD(false);
+    }
+
+    // Show or hide the ghost's input line and stats
+    function showHUD(visible) {
+        const inputElement = document.getElementById('ghost-input');
+        const statsElement = document.getElementById('ghost-stats');
+        if (inputElement) {
+            inputElement.textContent = "";
+            inputElement.style.display = visible ? 'block' : 'none';
+        }
+        if (statsElement) {
+            statsElement.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    // Turn ghost mode on or off (remembered for the next visit) - runs are still kept while it's off
+    function setEnabled(enabled) {
+        ghostState.enabled = !!enabled;
+        try {
+            localStorage.setItem(ghostConfig.enabledKey, ghostState.enabled ? 'on' : 'off');
+        } catch (error) {
+            // Not being able to remember the choice isn't a problem
+        }
+
+        if (!ghostState.enabled) {
+            ghostState.ghost = null;
+            showHUD(false);
+        }
+        console.log("Ghost mode", ghostState.enabled ? "on" : "off");
+    }
+
+    // Whether ghost mode is on
+    function isEnabled() {
+        return ghostState.enabled;
+    }
+
+    // Whether a ghost is being raced this battle
+    function isRacing() {
+        return !!ghostState.ghost;
+    }
+
+    // Restore whether ghost mode is on
+    function loadEnabled() {
+        try {
+            ghostState.enabled = localStorage.getItem(ghostConfig.enabledKey) !== 'off';
+        } catch (error) {
+            // Fall back to ghost mode on
+        }
+    }
+
+    loadEnabled();
+
+    // Export functions to be used in the main game
+    window.GhostRun = {
+        beginBattle: beginBattle,
+        update: updateGhost,
+        finishBattle: finishBattle,
+        cancelBattle: cancelBattle,
+        getBest: getBest,
+        setEnabled: setEnabled,
+        isEnabled: isEnabled,
+        isRacing: isRacing,
+        config: ghostConfig
+    };
+    GameHooks.register('GhostRun', window.GhostRun);
+})();
@@ -0,0 +1,247 @@
+// input_rules.js - Handles the rulesets for mistakes made while typing a target
+// Forgiving drops wrong keys, strict restarts the target on a mistake (and ends the attempt after
+// too many) and free typing keeps every key with a live diff so errors can be typed past and fixed,
+// finishing when the input matches or the player submits it with Enter.
+// Each ruleset turns an attempt into an outcome that sets how much damage it deals
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Input rulesets, most forgiving first
+    const inputRulesets = {
+        forgiving: {
+            label: 'Forgiving',
+            keepWrongKeys: false,       // Whether wrong keys stay in the input (free typing)
+            resetOnMistake: false,      // Whether a wrong key clears the input
+            mistakeLimit: 0,            // Mistakes that end the attempt (0 for no limit)
+            mistakeDamagePenalty: 0,    // Share of the target's damage lost per mistake
+            minCompletionAccuracy: 0    // Free typing: share of characters that must be right to count as a hit
+        },
+        strict: {
+            label: 'No Mistakes',
+            keepWrongKeys: false,
+            resetOnMistake: true,
+            mistakeLimit: 3,
+            mistakeDamagePenalty: 0.15,
+            minCompletionAccuracy: 0
+        },
+        free: {
+            label: 'Free Typing',
+            keepWrongKeys: true,
+            resetOnMistake: false,
+            mistakeLimit: 0,
+            mistakeDamagePenalty: 0.05, // Corrected mistakes cost a little, uncorrected ones cost their characters
+            minCompletionAccuracy: 0.5
+        }
+    };
+
+    // Configuration for input rules
+    const rulesConfig = {
+        defaultRuleset: 'forgiving',    // Selected when nothing has been chosen
+        order: ['forgiving', 'strict', 'free'],
+        storageKey: 'synthpocalypse-input-rules',  // Remembers the last choice between visits
+        minDamageScale: 0.25            // Mistake penalties never take a completed target below this share
+    };
+
+    // State variables for the current attempt
+    const attemptState = {
+        mistakes: 0,                    // Wrong keys typed on the current target
+        resets: 0                       // Times a strict mistake cleared the input
+    };
+
+    // The ruleset chosen on the main menu
+    let selectedRuleset = rulesConfig.defaultRuleset;
+
+    // Choose a ruleset (remembered for the next visit)
+    function setRuleset(name) {
+        if (!inputRulesets[name]) {
+            console.warn("Unknown input ruleset:", name);
+            return false;
+        }
+
+        selectedRuleset = name;
+        try {
+            localStorage.setItem(rulesConfig.storageKey, name);
+        } catch (error) {
+            // Not being able to remember the choice isn't a problem
+        }
+
+        console.log("Input ruleset set to:", name);
+        return true;
+    }
+
+    // The ruleset chosen on the main menu
+    function getRuleset() {
+        return selectedRuleset;
+    }
+
+    // Get the settings for a ruleset (defaults to the chosen one)
+    function getSettings(name) {
+        return inputRulesets[name || selectedRuleset] || inputRulesets[rulesConfig.defaultRuleset];
+    }
+
+    // Start counting mistakes for a new target
+    function startAttempt() {
+        attemptState.mistakes = 0;
+        attemptState.resets = 0;
+    }
+
+    // Mistakes made on the current target
+    function getMistakes() {
+        return attemptState.mistakes;
+    }
+
+    // The characters of the input that match the target at the same position
+    function getMatchedText(target, input) {
+        let matched = "";
+        for (let i = 0; i < input.length && i < target.length; i++) {
+            if (input[i] === target[i]) {
+                matched += input[i];
+            }
+        }
+        return matched;
+    }
+
+    // Apply a typed character to the input
+    // Returns { input, correct, result } - result is 'typing' to keep going, 'reset' when a strict
+    // mistake cleared the input, 'complete' when the target is done, 'failed' when the attempt is over
+    // or 'ignored' when the key didn't count (free typing input already as long as the target)
+    function typeCharacter(target, input, character) {
+        const rules = getSettings();
+
+        // Free typing input stops at the target's length - it has to be fixed or submitted from there
+        if (rules.keepWrongKeys && input.length >= target.length) {
+            return { input: input, correct: false, result: 'ignored' };
+        }
+
+        const correct = target[input.length] === character;
+
+        if (!correct) {
+            attemptState.mistakes++;
+        }
+
+        // Free typing keeps every key and only finishes by itself once the input matches the target
+        if (rules.keepWrongKeys) {
+            const typed = input + character;
+            return { input: typed, correct: correct, result: typed === target ? 'complete' : 'typing' };
+        }
+
+        if (correct) {
+            const typed = input + character;
+            return { input: typed, correct: true, result: typed === target ? 'complete' : 'typing' };
+        }
+
+        if (rules.mistakeLimit > 0 && attemptState.mistakes >= rules.mistakeLimit) {
+            return { input: input, correct: false, result: 'failed' };
+        }
+
+        if (rules.resetOnMistake) {
+            attemptState.resets++;
+            return { input: "", correct: false, result: 'reset' };
+        }
+
+        // Forgiving: the wrong key is dropped
+        return { input: input, correct: false, result: 'typing' };
+    }
+
+    // Submit the input (Enter) - free typing counts it as a hit if enough of the target is typed right
+    // Returns 'complete', 'failed', or null when there's nothing to submit (the other rulesets finish by themselves)
+    function submit(target, input) {
+        const rules = getSettings();
+        if (!rules.keepWrongKeys || !target || !input) return null;
+
+        const accuracy = getMatchedText(target, input).length / target.length;
+        return accuracy >= rules.minCompletionAccuracy ? 'complete' : 'failed';
+    }
+
+    // Erase the last typed character
+    function backspace(input) {
+        return input.slice(0, -1);
+    }
+
+    // Turn an attempt into the outcome passed to EnemyDamage.applyDamage:
+    // { completed, accuracy, damageScale, mistakes } - accuracy is the share of the target typed
+    // right, damageScale the share of the target's damage it deals
+    function getOutcome(target, input, completed) {
+        const rules = getSettings();
+        const matched = getMatchedText(target, input);
+        const accuracy = target.length > 0 ? matched.length / target.length : 0;
+
+        let damageScale;
+        if (completed) {
+            // Free typing loses the damage for characters left wrong; every ruleset loses its mistake penalty
+            const mistakePenalty = rules.mistakeDamagePenalty * attemptState.mistakes;
+            const base = rules.keepWrongKeys ? accuracy : 1;
+            damageScale = Math.max(rulesConfig.minDamageScale, Math.min(base, 1 - mistakePenalty));
+        } else {
+            // Targets that weren't finished only count in the full-line typing modes
+            damageScale = TypingModes.getPartialCredit(target, matched);
+        }
+
+        return {
+            completed: !!completed,
+            accuracy: accuracy,
+            damageScale: damageScale,
+            mistakes: attemptState.mistakes
+        };
+    }
+
+    // Show the input - free typing marks the characters that don't match the target, and asks for
+    // Enter once the input is as long as the target
+    function renderInput(element, target, input) {
+        if (!element) return;
+
+        if (!getSettings().keepWrongKeys) {
+            element.textContent = input;
+            return;
+        }
+
+        element.innerHTML = "";
+        for (let i = 0; i < input.length; i++) {
+            const span = document.createElement('span');
+            span.textContent = input[i];
+            if (input[i] !== target[i]) {
+                span.className = 'input-error';
+            }
+            element.appendChild(span);
+        }
+
+        if (input.length >= target.length && input !== target) {
+            const hint = document.createElement('span');
+            hint.textContent = " [Enter]";
+            hint.className = 'input-submit-hint';
+            element.appendChild(hint);
+        }
+    }
+
+    // Restore the last chosen ruleset
+    function loadRuleset() {
+        try {
+            const saved = localStorage.getItem(rulesConfig.storageKey);
+            if (saved && inputRulesets[saved]) {
+                selectedRuleset = saved;
+            }
+        } catch (error) {
+            // Fall back to the default ruleset
+        }
+        return selectedRuleset;
+    }
+
+    loadRuleset();
+
+    // Export functions to be used in the main game
+    window.InputRules = {
+        set: setRuleset,
+        get: getRuleset,
+        getSettings: getSettings,
+        startAttempt: startAttempt,
+        getMistakes: getMistakes,
+        typeCharacter: typeCharacter,
+        submit: submit,
+        backspace: backspace,
+        getOutcome: getOutcome,
+        renderInput: renderInput,
+        rulesets: inputRulesets,
+        config: rulesConfig
+    };
+    GameHooks.register('InputRules', window.InputRules);
+})();
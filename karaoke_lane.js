@@ -0,0 +1,225 @@
+// karaoke_lane.js - Handles the karaoke lyric lane and the target countdown ring
+// The current lyric line is shown word by word with a highlight that sweeps along in time with
+// the music (enhanced LRC word times when the line has them, spread over the line otherwise),
+// the typing target's words marked, the next lines underneath and a ring counting down the
+// time left to type the target
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the karaoke lane
+    const laneConfig = {
+        upcomingLines: 2,           // Lines shown after the current one
+        defaultLineDuration: 4,     // Seconds a line is sung over when no line follows it
+        sweepPortion: 0.85,         // Share of the gap to the next line an interpolated sweep takes
+        ringRadius: 18,             // Countdown ring radius (matches the SVG circle)
+        warningFraction: 0.25,      // The ring turns red when less than this share of the window is left
+        ringColor: '#00ffff',       // Countdown ring color
+        warningColor: '#ff3333'     // Countdown ring color when time is nearly up
+    };
+
+    // State variables for the lane
+    const laneState = {
+        lyrics: [],                 // The track's lyric objects ({ time, lyric, target, words })
+        lineIndex: -1,              // Lyric shown as the current line
+        words: [],                  // Current line's words: { span, start, end, progress }
+        ringShown: false,           // Whether the countdown ring is visible
+        ringWarning: false          // Whether the ring is showing the warning color
+    };
+
+    // Ring circumference, used for the stroke dash that draws the remaining time
+    const ringCircumference = 2 * Math.PI * laneConfig.ringRadius;
+
+    // Split a lyric into display words - enhanced LRC words keep their times, and the line's
+    // end tag (a word with no text) sets when the last word ends
+    function getDisplayWords(lyric) {
+        if (lyric.words && lyric.words.length > 0) {
+            const words = [];
+            lyric.words.forEach(word => {
+                if (word.text !== "") {
+                    words.push({ text: word.text, time: word.time, endTime: null });
+                } else if (words.length > 0) {
+                    words[words.length - 1].endTime = word.time;
+                }
+            });
+            return words;
+        }
+        return (lyric.lyric || "").split(/\s+/).filter(word => word !== "").map(word => ({ text: word, time: null }));
+    }
+
+    // Work out when each word starts and ends
+    // Without word times the line's sung time is shared out by word length
+    function timeWords(words, lyric, nextLyric) {
+        const gap = nextLyric ? nextLyric.time - lyric.time : laneConfig.defaultLineDuration;
+        const lineEnd = lyric.time + Math.max(0.5, Math.min(gap, laneConfig.defaultLineDuration) * laneConfig.sweepPortion);
+
+        const hasWordTimes = words.length > 0 && words.every(word => typeof word.time === 'number');
+        if (hasWordTimes) {
+            words.forEach((word, i) => {
+                word.start = word.time;
+                word.end = i + 1 < words.length ? words[i + 1].time
+                    : typeof word.endTime === 'number' ? word.endTime : Math.max(lineEnd, word.time + 0.3);
+            });
+            return;
+        }
+
+        const totalLength = words.reduce((sum, word) => sum + word.text.length, 0) || 1;
+        let start = lyric.time;
+        words.forEach(word => {
+            const duration = (lineEnd - lyric.time) * word.text.length / totalLength;
+            word.start = start;
+            word.end = start + duration;
+            start = word.end;
+        });
+    }
+
+    // Find the run of words that makes up the typing target (the last match wins, as targets
+    // usually come from the end of the line) - returns [first, last] or null
+    function findTargetWords(words, target) {
+        // Strict typing targets keep their case and punctuation
+        target = TargetSelector.normalizePhrase(target);
+        if (!target) return null;
+
+        const normalized = words.map(word => TargetSelector.normalizePhrase(word.text));
+        for (let first = words.length - 1; first >= 0; first--) {
+            for (let last = first; last < words.length; last++) {
+                const phrase = normalized.slice(first, last + 1).filter(word => word !== "").join(' ');
+                if (phrase === target) {
+                    return [first, last];
+                }
+                if (phrase.length > target.length) {
+                    break;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Use a new track's lyrics
+    function setLyrics(lyrics) {
+        laneState.lyrics = lyrics || [];
+        clearLane();
+    }
+
+    // Show a lyric as the current line, with the following lines underneath
+    function showLine(index) {
+        const lyric = laneState.lyrics[index];
+        const lane = document.getElementById('karaoke-lane');
+        if (!lyric || !lane) return;
+
+        laneState.lineIndex = index;
+
+        const words = getDisplayWords(lyric);
+        timeWords(words, lyric, laneState.lyrics[index + 1]);
+        const targetWords = findTargetWords(words, lyric.target);
+
+        const current = document.getElementById('karaoke-current');
+        current.innerHTML = "";
+        laneState.words = words.map((word, i) => {
+            const span = document.createElement('span');
+            span.className = 'karaoke-word';
+            if (targetWords && i >= targetWords[0] && i <= targetWords[1]) {
+                span.classList.add('target');
+            }
+            span.textContent = word.text;
+            current.appendChild(span);
+            current.appendChild(document.createTextNode(' '));
+            return { span: span, start: word.start, end: word.end, progress: -1 };
+        });
+
+        const upcoming = document.getElementById('karaoke-upcoming');
+        upcoming.innerHTML = "";
+        laneState.lyrics.slice(index + 1, index + 1 + laneConfig.upcomingLines).forEach(nextLyric => {
+            const line = document.createElement('div');
+            line.textContent = nextLyric.lyric;
+            upcoming.appendChild(line);
+        });
+
+        lane.style.opacity = 1;
+    }
+
+    // Sweep the current line's highlight to the music's position
+    function updateSweep(currentTime) {
+        laneState.words.forEach(word => {
+            const progress = Math.round(Math.max(0, Math.min(1, (currentTime - word.start) / Math.max(0.01, word.end - word.start))) * 100);
+
+            // Only touch the page when the highlight has moved
+            if (progress !== word.progress) {
+                word.progress = progress;
+                word.span.style.setProperty('--sweep', progress + '%');
+            }
+        });
+    }
+
+    // Draw the countdown ring for the time left to type the target (null hides it)
+    // countdown: { elapsed, timeWindow } in seconds
+    function updateRing(countdown) {
+        const ring = document.getElementById('countdown-ring');
+        if (!ring) return;
+
+        if (!countdown || !(countdown.timeWindow > 0)) {
+            if (laneState.ringShown) {
+                ring.style.display = 'none';
+                laneState.ringShown = false;
+            }
+            return;
+        }
+
+        const remaining = Math.max(0, Math.min(1, 1 - countdown.elapsed / countdown.timeWindow));
+        const progress = document.getElementById('countdown-ring-progress');
+        progress.style.strokeDasharray = ringCircumference;
+        progress.style.strokeDashoffset = ringCircumference * (1 - remaining);
+
+        const warning = remaining < laneConfig.warningFraction;
+        if (warning !== laneState.ringWarning || !laneState.ringShown) {
+            progress.style.stroke = warning ? laneConfig.warningColor : laneConfig.ringColor;
+            laneState.ringWarning = warning;
+        }
+
+        if (!laneState.ringShown) {
+            ring.style.display = 'block';
+            laneState.ringShown = true;
+        }
+    }
+
+    // Per-frame update: sweep the words and run down the countdown ring
+    function updateLane(currentTime, countdown) {
+        if (laneState.words.length > 0) {
+            updateSweep(currentTime);
+        }
+        updateRing(countdown);
+    }
+
+    // Fade the lane out (the line stays until the next one replaces it)
+    function fadeOut() {
+        const lane = document.getElementById('karaoke-lane');
+        if (lane) {
+            lane.style.opacity = 0;
+        }
+    }
+
+    // Remove the current line and hide the ring
+    function clearLane() {
+        laneState.lineIndex = -1;
+        laneState.words = [];
+        fadeOut();
+
+        const current = document.getElementById('karaoke-current');
+        const upcoming = document.getElementById('karaoke-upcoming');
+        if (current) current.innerHTML = "";
+        if (upcoming) upcoming.innerHTML = "";
+
+        updateRing(null);
+    }
+
+    // Export functions to be used in the main game
+    window.KaraokeLane = {
+        setLyrics: setLyrics,
+        showLine: showLine,
+        update: updateLane,
+        fadeOut: fadeOut,
+        clear: clearLane,
+        findTargetWords: findTargetWords,
+        config: laneConfig
+    };
+    GameHooks.register('KaraokeLane', window.KaraokeLane);
+})();
@@ -0,0 +1,293 @@
+// latency_calibration.js - Handles audio latency calibration and lyric timing offsets
+// A click track is played and the player taps along; the median distance between taps and clicks
+// (audio output latency plus the player's own timing) becomes a per-device offset that is added,
+// with a per-track nudge, to every lyric time. Positive offsets make lyrics appear later
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for calibration
+    const calibrationConfig = {
+        storageKey: 'synthpocalypse-latency',   // Offsets are kept per device, not in the exported save
+        clickBpm: 100,              // Tempo of the click track
+        leadInClicks: 4,            // Clicks played before taps count (accented)
+        scoredClicks: 16,           // Clicks the player taps along to
+        clickLength: 0.05,          // Seconds each click sounds for
+        maxTapError: 250,           // Taps further than this (ms) from a click are ignored
+        minTaps: 8,                 // Taps needed for a usable measurement
+        nudgeStep: 10,              // ms added or removed by one nudge
+        maxOffset: 500              // Largest offset (ms) either way
+    };
+
+    // State variables for calibration
+    const calibrationState = {
+        deviceOffset: 0,            // Measured offset for this device (ms)
+        outputLatency: 0,           // Output latency the browser reported at the last calibration (ms)
+        calibratedAt: null,         // When the device offset was last measured
+        trackNudges: {},            // Per-track nudges by track id (ms)
+        session: null               // Calibration in progress: { context, clickTimes, errors, callbacks, frame, timer }
+    };
+
+    // Keep an offset within the allowed range
+    function clampOffset(offset) {
+        return Math.max(-calibrationConfig.maxOffset, Math.min(calibrationConfig.maxOffset, Math.round(offset)));
+    }
+
+    // Median of a list of numbers
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Schedule a single click on the audio context
+    function scheduleClick(context, time, accented) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.frequency.value = accented ? 1500 : 1000;
+        gain.gain.setValueAtTime(0.6, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + calibrationConfig.clickLength);
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(time);
+        oscillator.stop(time + calibrationConfig.clickLength);
+    }
+
+    // Play the click track and start listening for taps
+    // callbacks: { onClick(clickNumber, totalClicks, scored), onFinish(result) }
+    function startCalibration(callbacks = {}) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn("Web Audio isn't available - can't calibrate");
+            return false;
+        }
+
+        cancelCalibration();
+
+        const context = new AudioContextClass();
+        const interval = 60 / calibrationConfig.clickBpm;
+        const totalClicks = calibrationConfig.leadInClicks + calibrationConfig.scoredClicks;
+        const firstClick = context.currentTime + 0.5;
+
+        const clickTimes = [];
+        for (let i = 0; i < totalClicks; i++) {
+            const time = firstClick + i * interval;
+            scheduleClick(context, time, i < calibrationConfig.leadInClicks);
+            if (i >= calibrationConfig.leadInClicks) {
+                clickTimes.push(time);
+            }
+        }
+
+        const session = {
+            context: context,
+            clickTimes: clickTimes,
+            errors: [],
+            callbacks: callbacks,
+            frame: null,
+            timer: null,
+            clicksShown: 0
+        };
+        calibrationState.session = session;
+
+        // Report each click as it plays so the screen can flash along
+        function watchClicks() {
+            const elapsed = context.currentTime - firstClick;
+            const clickNumber = Math.min(totalClicks, Math.floor(elapsed / interval) + 1);
+            if (elapsed >= 0 && clickNumber > session.clicksShown) {
+                session.clicksShown = clickNumber;
+                if (callbacks.onClick) {
+                    callbacks.onClick(clickNumber, totalClicks, clickNumber > calibrationConfig.leadInClicks);
+                }
+            }
+            session.frame = requestAnimationFrame(watchClicks);
+        }
+        watchClicks();
+
+        // Finish once a late tap on the last click can no longer count
+        const duration = (firstClick - context.currentTime) + (totalClicks - 1) * interval + calibrationConfig.maxTapError / 1000;
+        session.timer = setTimeout(finishCalibration, duration * 1000);
+
+        console.log(`Latency calibration started: ${totalClicks} clicks at ${calibrationConfig.clickBpm} BPM`);
+        return true;
+    }
+
+    // Record a tap against the nearest scored click
+    function registerTap() {
+        const session = calibrationState.session;
+        if (!session) return null;
+
+        const tapTime = session.context.currentTime;
+        let nearestError = null;
+        session.clickTimes.forEach(clickTime => {
+            const error = (tapTime - clickTime) * 1000;
+            if (nearestError === null || Math.abs(error) < Math.abs(nearestError)) {
+                nearestError = error;
+            }
+        });
+
+        if (nearestError === null || Math.abs(nearestError) > calibrationConfig.maxTapError) {
+            return null;
+        }
+
+        session.errors.push(nearestError);
+        return Math.round(nearestError);
+    }
+
+    // Stop the click track and its audio context
+    function stopSession(session) {
+        if (session.frame !== null) cancelAnimationFrame(session.frame);
+        if (session.timer !== null) clearTimeout(session.timer);
+        session.context.close().catch(() => {});
+    }
+
+    // Work out the offset from the taps, store it and report the result
+    function finishCalibration() {
+        const session = calibrationState.session;
+        if (!session) return null;
+
+        calibrationState.session = null;
+
+        // Output latency isn't reported by every browser
+        const context = session.context;
+        const outputLatency = Math.round(((context.outputLatency || 0) + (context.baseLatency || 0)) * 1000);
+        stopSession(session);
+
+        const result = {
+            success: session.errors.length >= calibrationConfig.minTaps,
+            taps: session.errors.length,
+            offset: null,
+            spread: null,
+            outputLatency: outputLatency
+        };
+
+        if (result.success) {
+            result.offset = clampOffset(median(session.errors));
+            result.spread = Math.round(session.errors.reduce((sum, error) => sum + Math.abs(error - result.offset), 0) / session.errors.length);
+
+            calibrationState.deviceOffset = result.offset;
+            calibrationState.outputLatency = outputLatency;
+            calibrationState.calibratedAt = new Date().toISOString();
+            saveSettings();
+
+            console.log(`Latency calibrated: offset ${result.offset}ms (±${result.spread}ms over ${result.taps} taps, output latency ${outputLatency}ms)`);
+        } else {
+            console.warn(`Latency calibration needs ${calibrationConfig.minTaps} taps on the beat, got ${result.taps}`);
+        }
+
+        if (session.callbacks.onFinish) {
+            session.callbacks.onFinish(result);
+        }
+        return result;
+    }
+
+    // Abandon a calibration in progress without changing the stored offset
+    function cancelCalibration() {
+        const session = calibrationState.session;
+        if (!session) return;
+
+        calibrationState.session = null;
+        stopSession(session);
+        console.log("Latency calibration cancelled");
+    }
+
+    // Whether a calibration is in progress
+    function isCalibrating() {
+        return calibrationState.session !== null;
+    }
+
+    // Set the device offset by hand (ms)
+    function setDeviceOffset(offset) {
+        calibrationState.deviceOffset = clampOffset(offset);
+        saveSettings();
+        return calibrationState.deviceOffset;
+    }
+
+    // The device offset (ms)
+    function getDeviceOffset() {
+        return calibrationState.deviceOffset;
+    }
+
+    // A track's nudge (ms)
+    function getTrackNudge(trackId) {
+        return calibrationState.trackNudges[trackId] || 0;
+    }
+
+    // Move a track's lyrics later (positive steps) or earlier (negative steps) - returns the new nudge
+    function nudgeTrack(trackId, steps) {
+        if (!trackId) return 0;
+
+        const nudge = clampOffset(getTrackNudge(trackId) + steps * calibrationConfig.nudgeStep);
+        if (nudge === 0) {
+            delete calibrationState.trackNudges[trackId];
+        } else {
+            calibrationState.trackNudges[trackId] = nudge;
+        }
+        saveSettings();
+        return nudge;
+    }
+
+    // Total offset to add to a track's lyric times (ms)
+    function getOffset(trackId) {
+        return calibrationState.deviceOffset + getTrackNudge(trackId);
+    }
+
+    // Everything the calibration screen shows
+    function getSettings() {
+        return {
+            deviceOffset: calibrationState.deviceOffset,
+            outputLatency: calibrationState.outputLatency,
+            calibratedAt: calibrationState.calibratedAt,
+            trackNudges: Object.assign({}, calibrationState.trackNudges)
+        };
+    }
+
+    // Store the offsets for the next visit
+    function saveSettings() {
+        try {
+            localStorage.setItem(calibrationConfig.storageKey, JSON.stringify(getSettings()));
+        } catch (error) {
+            // Not being able to remember the offsets isn't a problem
+        }
+    }
+
+    // Restore the stored offsets
+    function loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(calibrationConfig.storageKey) || 'null');
+            if (saved && typeof saved === 'object') {
+                calibrationState.deviceOffset = typeof saved.deviceOffset === 'number' ? clampOffset(saved.deviceOffset) : 0;
+                calibrationState.outputLatency = typeof saved.outputLatency === 'number' ? saved.outputLatency : 0;
+                calibrationState.calibratedAt = saved.calibratedAt || null;
+
+                calibrationState.trackNudges = {};
+                Object.keys(saved.trackNudges || {}).forEach(trackId => {
+                    if (typeof saved.trackNudges[trackId] === 'number') {
+                        calibrationState.trackNudges[trackId] = clampOffset(saved.trackNudges[trackId]);
+                    }
+                });
+            }
+        } catch (error) {
+            // Fall back to no offset
+        }
+    }
+
+    loadSettings();
+
+    // Export functions to be used in the main game
+    window.LatencyCalibration = {
+        start: startCalibration,
+        tap: registerTap,
+        finish: finishCalibration,
+        cancel: cancelCalibration,
+        isCalibrating: isCalibrating,
+        setDeviceOffset: setDeviceOffset,
+        getDeviceOffset: getDeviceOffset,
+        getTrackNudge: getTrackNudge,
+        nudgeTrack: nudgeTrack,
+        getOffset: getOffset,
+        getSettings: getSettings,
+        config: calibrationConfig
+    };
+    GameHooks.register('LatencyCalibration', window.LatencyCalibration);
+})();
@@ -0,0 +1,386 @@
+// lrc_editor.js - Handles the in-game LRC timing editor
+// Authors play a track, tap a key at the start of each lyric line (or each word), set the typing
+// target per line, preview the result in the real game and export LRC and target override files
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the editor
+    const editorConfig = {
+        editorName: 'Synthpocalypse Now! LRC Editor',  // Written to the exported file's [re:] tag
+        maxHistory: 200,            // Undo steps kept
+        nudgeStep: 0.05,            // Seconds a line moves per nudge
+        previewLeadIn: 3,           // Seconds of audio played before the first previewed line
+        noTargetMarker: '-'         // Typed into a target box to give a line no target
+    };
+
+    // State variables for the editor
+    const editorState = {
+        track: null,                // Manifest entry being edited
+        metadata: {},               // LRC metadata tags from the loaded file
+        lines: [],                  // { time, text, section, words, target } - time is null until tapped,
+                                    // words is [{ time, text }] or null, target is undefined for automatic
+        selectedIndex: 0,           // Line the next tap applies to
+        wordIndex: 0,               // Word the next tap applies to (word mode)
+        wordMode: false,            // Whether taps time each word instead of each line
+        history: [],                // Undo snapshots
+        preview: null               // Lyrics handed to the game while previewing: { trackId, lines, overrides, startTime }
+    };
+
+    // Copy a line list so undo snapshots aren't changed by later edits
+    function copyLines(lines) {
+        return lines.map(line => Object.assign({}, line, {
+            words: line.words ? line.words.map(word => Object.assign({}, word)) : null
+        }));
+    }
+
+    // Remember the current state for undo
+    function pushHistory() {
+        editorState.history.push({
+            lines: copyLines(editorState.lines),
+            selectedIndex: editorState.selectedIndex,
+            wordIndex: editorState.wordIndex
+        });
+        if (editorState.history.length > editorConfig.maxHistory) {
+            editorState.history.shift();
+        }
+    }
+
+    // Load a track's lyrics and target overrides into the editor (resolves to the line count)
+    // A track whose LRC file can't be loaded starts with no lines - paste them in with setLinesFromText
+    function openTrack(track) {
+        editorState.track = track;
+        editorState.metadata = { ti: track.name };
+        editorState.lines = [];
+        editorState.selectedIndex = 0;
+        editorState.wordIndex = 0;
+        editorState.history = [];
+
+        const lyrics = track.lrc
+            ? LrcLoader.load(track.lrc).catch(error => {
+                console.warn(error.message || error);
+                return null;
+            })
+            : Promise.resolve(null);
+
+        return Promise.all([lyrics, TargetSelector.loadOverrides(track.targets)])
+            .then(([parsed, overrides]) => {
+                // Ignore the result if another track was opened in the meantime
+                if (editorState.track !== track) {
+                    return editorState.lines.length;
+                }
+
+                if (parsed) {
+                    // The [offset:] tag is already applied to the times, so it's dropped on export
+                    editorState.metadata = Object.assign({}, parsed.metadata);
+                    delete editorState.metadata.offset;
+
+                    editorState.lines = parsed.lines.map(line => {
+                        const stamp = LrcLoader.formatTimestamp(line.rawTime);
+                        return {
+                            time: line.time,
+                            text: line.text,
+                            section: line.section,
+                            words: line.words ? line.words.map(word => Object.assign({}, word)) : null,
+                            target: Object.prototype.hasOwnProperty.call(overrides, stamp)
+                                ? TargetSelector.normalizePhrase(overrides[stamp])
+                                : undefined
+                        };
+                    });
+                }
+
+                console.log(`Editing ${editorState.lines.length} lyric lines for ${track.name}`);
+                return editorState.lines.length;
+            });
+    }
+
+    // Replace the lines with untimed lines from plain text - blank lines separate sections
+    function setLinesFromText(text) {
+        pushHistory();
+
+        const lines = [];
+        let section = 0;
+        (text || "").split(/\r\n|\r|\n/).forEach(rawLine => {
+            const lineText = rawLine.replace(/^(\[[^\]]*\])+/, '').trim();
+            if (lineText === "") {
+                if (lines.length > 0 && lines[lines.length - 1].section === section) {
+                    section++;
+                }
+                return;
+            }
+            lines.push({ time: null, text: lineText, section: section, words: null, target: undefined });
+        });
+
+        editorState.lines = lines;
+        editorState.selectedIndex = 0;
+        editorState.wordIndex = 0;
+        return lines.length;
+    }
+
+    // Split a line into untimed words the first time it's word-timed
+    function ensureWords(line) {
+        if (!line.words) {
+            line.words = line.text.split(/\s+/).filter(word => word !== "").map(word => ({ time: null, text: word }));
+        }
+        return line.words;
+    }
+
+    // Time the selected line (or its next word in word mode) and move on
+    // Returns { lineIndex, wordIndex } for what was timed, or null if there's nothing left to time
+    function tap(time) {
+        const line = editorState.lines[editorState.selectedIndex];
+        if (!line) return null;
+
+        pushHistory();
+        const tapped = { lineIndex: editorState.selectedIndex, wordIndex: null };
+
+        if (editorState.wordMode) {
+            const words = ensureWords(line);
+            const wordIndex = Math.min(editorState.wordIndex, words.length - 1);
+
+            words[wordIndex].time = time;
+            if (wordIndex === 0) {
+                line.time = time;
+            }
+            tapped.wordIndex = wordIndex;
+
+            editorState.wordIndex = wordIndex + 1;
+            if (editorState.wordIndex < words.length) {
+                return tapped;
+            }
+        } else {
+            line.time = time;
+        }
+
+        // Move to the next line (staying on the last one)
+        editorState.selectedIndex = Math.min(editorState.selectedIndex + 1, editorState.lines.length - 1);
+        editorState.wordIndex = 0;
+        return tapped;
+    }
+
+    // Undo the last edit - returns false if there's nothing to undo
+    function undo() {
+        const snapshot = editorState.history.pop();
+        if (!snapshot) return false;
+
+        editorState.lines = snapshot.lines;
+        editorState.selectedIndex = snapshot.selectedIndex;
+        editorState.wordIndex = snapshot.wordIndex;
+        return true;
+    }
+
+    // Choose the line the next tap applies to
+    function select(index) {
+        if (editorState.lines.length === 0) return;
+        editorState.selectedIndex = Math.max(0, Math.min(editorState.lines.length - 1, index));
+        editorState.wordIndex = 0;
+    }
+
+    // Switch between timing lines and timing words
+    function setWordMode(enabled) {
+        editorState.wordMode = !!enabled;
+        editorState.wordIndex = 0;
+    }
+
+    // Move a line (and its words) earlier or later by a number of nudge steps
+    function nudgeLine(index, steps) {
+        const line = editorState.lines[index];
+        if (!line || line.time === null) return;
+
+        pushHistory();
+        const shift = steps * editorConfig.nudgeStep;
+        line.time = Math.max(0, line.time + shift);
+        if (line.words) {
+            line.words.forEach(word => {
+                if (word.time !== null) word.time = Math.max(0, word.time + shift);
+            });
+        }
+    }
+
+    // Set a line's typing target from the text box: empty for the automatic target,
+    // the no-target marker for none, anything else is used as typed
+    function setTarget(index, value) {
+        const line = editorState.lines[index];
+        if (!line) return;
+
+        pushHistory();
+        const text = (value || "").trim();
+        if (text === "") {
+            line.target = undefined;
+        } else if (text === editorConfig.noTargetMarker) {
+            line.target = "";
+        } else {
+            line.target = TargetSelector.normalizePhrase(text);
+        }
+    }
+
+    // The target the game will use for a line
+    function getTarget(line) {
+        return line.target !== undefined ? line.target : TargetSelector.selectTarget(line.text);
+    }
+
+    // Problems to fix before exporting: untimed lines and lines earlier than the one before
+    function getProblems() {
+        const problems = [];
+        let previousTime = -Infinity;
+
+        editorState.lines.forEach((line, index) => {
+            if (line.time === null) {
+                problems.push(`Line ${index + 1} has no time`);
+                return;
+            }
+            if (line.time < previousTime) {
+                problems.push(`Line ${index + 1} starts before the line above it`);
+            }
+            previousTime = line.time;
+
+            if (line.words && line.words.some(word => word.time !== null && word.time < line.time)) {
+                problems.push(`Line ${index + 1} has a word timed before the line starts`);
+            }
+        });
+
+        return problems;
+    }
+
+    // Target overrides keyed by the lines' timestamps, as read by TargetSelector.loadOverrides
+    function buildOverrides() {
+        const overrides = {};
+        editorState.lines.forEach(line => {
+            if (line.time !== null && line.target !== undefined) {
+                overrides[LrcLoader.formatTimestamp(line.time)] = line.target;
+            }
+        });
+        return overrides;
+    }
+
+    // The lines as LRC text
+    function buildLRC() {
+        return LrcLoader.stringify({
+            metadata: Object.assign({}, editorState.metadata, { re: editorConfig.editorName }),
+            lines: editorState.lines
+        });
+    }
+
+    // The target overrides file
+    function buildTargetsFile() {
+        return JSON.stringify({ version: 1, targets: buildOverrides() }, null, 4) + "\n";
+    }
+
+    // File name for an export, based on the track's LRC file name
+    function getExportName(extension) {
+        const track = editorState.track;
+        const lrcName = track && track.lrc ? track.lrc.split('/').pop().replace(/\.lrc$/i, '') : null;
+        return (lrcName || (track ? track.id : 'lyrics')) + extension;
+    }
+
+    // Offer text as a file download
+    function download(fileName, text, type) {
+        const blob = new Blob([text], { type: type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log("Exported", fileName);
+    }
+
+    // Download the lines as an LRC file
+    function exportLRC() {
+        download(getExportName('.lrc'), buildLRC(), 'text/plain');
+    }
+
+    // Download the target overrides as a JSON file
+    function exportTargets() {
+        download(getExportName('.targets.json'), buildTargetsFile(), 'application/json');
+    }
+
+    // Hand the timed lines, from the selected line on, to the game for a preview
+    // Returns the audio time the preview should start from
+    function startPreview() {
+        const track = editorState.track;
+        if (!track) return null;
+
+        const selected = editorState.lines[editorState.selectedIndex];
+        const fromTime = selected && selected.time !== null && editorState.selectedIndex > 0 ? selected.time : 0;
+
+        // The same shape LrcLoader.parse produces, so TargetSelector.assignTargets can read it
+        const lines = editorState.lines
+            .map((line, index) => ({
+                time: line.time,
+                rawTime: line.time,
+                text: line.text,
+                lineNumber: index + 1,
+                section: line.section,
+                words: line.words ? line.words.map(word => Object.assign({}, word)) : null
+            }))
+            .filter(line => line.time !== null && line.time >= fromTime)
+            .sort((a, b) => a.time - b.time);
+
+        editorState.preview = {
+            trackId: track.id,
+            lines: lines,
+            overrides: buildOverrides(),
+            startTime: Math.max(0, fromTime - editorConfig.previewLeadIn)
+        };
+
+        console.log(`Previewing ${lines.length} lines of ${track.name} from ${editorState.preview.startTime.toFixed(2)}s`);
+        return editorState.preview.startTime;
+    }
+
+    // The preview lyrics for a track ({ lines, overrides, startTime }), or null if it isn't being previewed
+    function getPreview(trackId) {
+        const preview = editorState.preview;
+        return preview && preview.trackId === trackId ? preview : null;
+    }
+
+    // Stop previewing
+    function endPreview() {
+        editorState.preview = null;
+    }
+
+    // Whether the game is playing a preview
+    function isPreviewing() {
+        return editorState.preview !== null;
+    }
+
+    // Current editor state for the editor screen
+    function getState() {
+        return {
+            track: editorState.track,
+            lines: editorState.lines,
+            selectedIndex: editorState.selectedIndex,
+            wordIndex: editorState.wordIndex,
+            wordMode: editorState.wordMode,
+            canUndo: editorState.history.length > 0
+        };
+    }
+
+    // Export functions to be used in the main game
+    window.LrcEditor = {
+        open: openTrack,
+        setLinesFromText: setLinesFromText,
+        tap: tap,
+        undo: undo,
+        select: select,
+        setWordMode: setWordMode,
+        nudgeLine: nudgeLine,
+        setTarget: setTarget,
+        getTarget: getTarget,
+        getProblems: getProblems,
+        buildLRC: buildLRC,
+        buildTargetsFile: buildTargetsFile,
+        exportLRC: exportLRC,
+        exportTargets: exportTargets,
+        startPreview: startPreview,
+        getPreview: getPreview,
+        endPreview: endPreview,
+        isPreviewing: isPreviewing,
+        getState: getState,
+        config: editorConfig
+    };
+    GameHooks.register('LrcEditor', window.LrcEditor);
+})();
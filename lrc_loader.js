@@ -0,0 +1,294 @@
+// lrc_loader.js - Loads, parses and writes LRC lyric files for tracks
+// This file turns the LRC file referenced by a track entry into timed lyric lines for the game,
+// including enhanced LRC word times, and writes edited lyrics back out as LRC text
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the LRC parser
+    const lrcConfig = {
+        timestampPattern: /^\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/, // [mm:ss], [mm:ss.x], [mm:ss.xx], [mm:ss.xxx]
+        tagPattern: /^\[([a-zA-Z#]+):(.*)\]$/,   // [ti:...], [ar:...], [offset:...] etc.
+        creditPattern: /^-{2,}.*-{2,}$/,          // Generator credit lines such as "--- www.LRCgenerator.com ---"
+        wordTagPattern: /<(\d[^<>]*)>/g,         // Enhanced LRC word times: <mm:ss.xx>WORD (malformed ones are reported)
+        metadataOrder: ['ti', 'ar', 'al', 'au', 'length', 'by', 'offset', 're', 've'], // Tag order when writing
+    };
+
+    // Parse a single timestamp like "[01:40.39]" into seconds (null if it isn't one)
+    function parseTimestamp(stamp) {
+        const match = lrcConfig.timestampPattern.exec(stamp);
+        if (!match) {
+            return null;
+        }
+
+        const minutes = parseInt(match[1], 10);
+        const seconds = parseInt(match[2], 10);
+        if (seconds >= 60) {
+            return null;
+        }
+
+        // Fractions are read as decimals so ".5", ".50" and ".500" all mean half a second
+        const fraction = match[3] ? parseFloat("0." + match[3]) : 0;
+
+        return minutes * 60 + seconds + fraction;
+    }
+
+    // Format seconds back into an LRC timestamp body ("mm:ss.xx")
+    function formatTimestamp(time) {
+        const totalCentiseconds = Math.max(0, Math.round(time * 100));
+        const minutes = Math.floor(totalCentiseconds / 6000);
+        const seconds = Math.floor((totalCentiseconds % 6000) / 100);
+        const centiseconds = totalCentiseconds % 100;
+
+        return String(minutes).padStart(2, '0') + ":" +
+               String(seconds).padStart(2, '0') + "." +
+               String(centiseconds).padStart(2, '0');
+    }
+
+    // Split enhanced LRC word tags out of a line's text
+    // Returns { text, words, invalidTags } where words is [{ time, text }] (null if the line has no
+    // word tags, or if a tag couldn't be read) and invalidTags the tags that couldn't be read; text
+    // before the first tag belongs to the line's own time and a tag with no word after it (usually
+    // the last one, marking where the line ends) is kept as a word with empty text
+    function parseWordTags(lyricText, lineTime) {
+        const pattern = new RegExp(lrcConfig.wordTagPattern.source, 'g');
+        const tags = [];
+        let match;
+        while ((match = pattern.exec(lyricText)) !== null) {
+            tags.push({ index: match.index, length: match[0].length, stamp: match[0], time: parseTimestamp("[" + match[1] + "]") });
+        }
+
+        if (tags.length === 0) {
+            return { text: lyricText, words: null, invalidTags: [] };
+        }
+
+        const words = [];
+        const prefix = lyricText.substring(0, tags[0].index).trim();
+        if (prefix !== "") {
+            words.push({ time: lineTime, text: prefix });
+        }
+
+        const invalidTags = [];
+        tags.forEach((tag, i) => {
+            const end = i + 1 < tags.length ? tags[i + 1].index : lyricText.length;
+            const wordText = lyricText.substring(tag.index + tag.length, end).trim();
+
+            if (tag.time === null) {
+                invalidTags.push(tag.stamp);
+            }
+
+            // An empty tag only marks a time (where the line ends) - it's kept so it can be written back out
+            if (wordText !== "" || tag.time !== null) {
+                words.push({ time: tag.time, text: wordText });
+            }
+        });
+
+        return {
+            text: words.map(word => word.text).filter(text => text !== "").join(' '),
+            words: invalidTags.length === 0 ? words : null,
+            invalidTags: invalidTags
+        };
+    }
+
+    // Parse LRC text into metadata, timed lines and a list of malformed lines
+    function parseLRC(text) {
+        const result = {
+            metadata: {},       // Metadata tags by name (ti, ar, al, ...)
+            offset: 0,          // [offset:] tag in milliseconds (already applied to line and word times)
+            lines: [],          // { time, rawTime, text, lineNumber, section, words } sorted by time
+                                // (words is [{ time, text }] for enhanced LRC lines, otherwise null)
+            credits: [],        // Generator credit lines that aren't part of the song
+            errors: []          // { lineNumber, message, content } for lines we couldn't read
+        };
+
+        if (typeof text !== 'string') {
+            result.errors.push({ lineNumber: 0, message: "LRC content is not text", content: "" });
+            return result;
+        }
+
+        // Strip a UTF-8 byte order mark and split on any newline style
+        const rawLines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+        let section = 0;
+        let linesInSection = 0;
+
+        rawLines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.trim();
+
+            // Blank lines separate verses/choruses into sections
+            if (line === "") {
+                if (linesInSection > 0) {
+                    section++;
+                    linesInSection = 0;
+                }
+                return;
+            }
+
+            // Metadata tag lines (but not timestamps, which also look like [a:b])
+            if (parseTimestamp(line) === null && lrcConfig.tagPattern.test(line)) {
+                const tagMatch = lrcConfig.tagPattern.exec(line);
+                const tag = tagMatch[1].toLowerCase();
+                const value = tagMatch[2].trim();
+
+                if (tag === 'offset') {
+                    if (!/^[+-]?\d+$/.test(value)) {
+                        result.errors.push({ lineNumber, message: "Invalid offset value", content: rawLine });
+                        return;
+                    }
+                    result.offset = parseInt(value, 10);
+                }
+
+                result.metadata[tag] = value;
+                return;
+            }
+
+            // Collect every leading timestamp - a line can repeat at several times
+            const times = [];
+            let remaining = line;
+            while (remaining.startsWith('[')) {
+                const stampMatch = lrcConfig.timestampPattern.exec(remaining);
+                if (!stampMatch) {
+                    break;
+                }
+
+                const time = parseTimestamp(stampMatch[0]);
+                if (time === null) {
+                    result.errors.push({ lineNumber, message: "Invalid timestamp " + stampMatch[0], content: rawLine });
+                    return;
+                }
+
+                times.push(time);
+                remaining = remaining.substring(stampMatch[0].length);
+            }
+
+            if (times.length === 0) {
+                result.errors.push({ lineNumber, message: "Expected a timestamp or metadata tag", content: rawLine });
+                return;
+            }
+
+            const wordTags = parseWordTags(remaining.trim(), times[0]);
+            wordTags.invalidTags.forEach(stamp => {
+                result.errors.push({ lineNumber, message: "Invalid word timestamp " + stamp, content: rawLine });
+            });
+            const lyricText = wordTags.text;
+
+            // A timestamp with no text marks an instrumental break
+            if (lyricText === "") {
+                if (linesInSection > 0) {
+                    section++;
+                    linesInSection = 0;
+                }
+                return;
+            }
+
+            if (lrcConfig.creditPattern.test(lyricText)) {
+                result.credits.push(lyricText);
+                return;
+            }
+
+            times.forEach((time, timeIndex) => {
+                // Word times belong to the line's first timestamp - repeats of the line are shifted along
+                const shift = time - times[0];
+                const words = wordTags.words && wordTags.words.map(word => ({ time: word.time + (timeIndex > 0 ? shift : 0), text: word.text }));
+                result.lines.push({ time, rawTime: time, text: lyricText, lineNumber, section, words });
+            });
+            linesInSection++;
+        });
+
+        // Apply the [offset:] tag - a positive offset makes lyrics appear sooner
+        if (result.offset !== 0) {
+            result.lines.forEach(lyric => {
+                lyric.time = Math.max(0, lyric.time - result.offset / 1000);
+                if (lyric.words) {
+                    lyric.words.forEach(word => {
+                        word.time = Math.max(0, word.time - result.offset / 1000);
+                    });
+                }
+            });
+        }
+
+        // Multiple timestamps per line can put lines out of order, so sort by time
+        // (Array.prototype.sort is stable, so same-time lines keep file order)
+        result.lines.sort((a, b) => a.time - b.time);
+
+        return result;
+    }
+
+    // Write lyrics out as LRC text - doc: { metadata, lines: [{ time, text, section, words }] }
+    // Lines without a time are left out and the rest are written in time order, with a blank line
+    // between sections. Lines with word times are written as enhanced LRC
+    // ("[mm:ss.xx]<mm:ss.xx>WORD <mm:ss.xx>WORD <mm:ss.xx>", the last tag being the line's end
+    // when it has one). Times are written as given, so an [offset:]
+    // tag in the metadata is dropped rather than applied twice
+    function stringifyLRC(doc) {
+        const output = [];
+        const metadata = Object.assign({}, (doc && doc.metadata) || {});
+        delete metadata.offset;
+
+        // Standard tags first, then any others in the order they were read
+        const tags = lrcConfig.metadataOrder.filter(tag => metadata[tag] !== undefined)
+            .concat(Object.keys(metadata).filter(tag => !lrcConfig.metadataOrder.includes(tag)));
+        tags.forEach(tag => {
+            output.push(`[${tag}:${String(metadata[tag]).replace(/[\[\]\r\n]/g, '')}]`);
+        });
+
+        const lines = ((doc && doc.lines) || [])
+            .filter(line => typeof line.time === 'number' && line.text)
+            .slice()
+            .sort((a, b) => a.time - b.time);
+
+        let previousSection = null;
+        lines.forEach(line => {
+            // Blank line after the metadata and between sections
+            if (previousSection === null ? tags.length > 0 : line.section !== previousSection) {
+                output.push("");
+            }
+            previousSection = line.section;
+
+            const timedWords = line.words && line.words.filter(word => typeof word.time === 'number');
+            const text = timedWords && timedWords.length > 0
+                ? line.words
+                    .filter(word => word.text !== "" || typeof word.time === 'number')
+                    .map(word => (typeof word.time === 'number' ? `<${formatTimestamp(word.time)}>` : "") + word.text).join(' ')
+                : line.text;
+
+            output.push(`[${formatTimestamp(line.time)}]${text}`);
+        });
+
+        return output.join('\n') + '\n';
+    }
+
+    // Fetch and parse an LRC file, logging any malformed lines
+    function loadLRC(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load LRC file ${url}: HTTP ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                const parsed = parseLRC(text);
+
+                parsed.errors.forEach(error => {
+                    console.warn(`${url} line ${error.lineNumber}: ${error.message} - "${error.content}"`);
+                });
+
+                console.log(`Parsed ${parsed.lines.length} lyric lines from ${url}` +
+                            (parsed.metadata.ti ? ` (${parsed.metadata.ti})` : ""));
+
+                return parsed;
+            });
+    }
+
+    // Export functions to be used in the main game
+    window.LrcLoader = {
+        load: loadLRC,
+        parse: parseLRC,
+        stringify: stringifyLRC,
+        parseTimestamp: parseTimestamp,
+        formatTimestamp: formatTimestamp,
+        config: lrcConfig
+    };
+    GameHooks.register('LrcLoader', window.LrcLoader);
+})();
@@ -55,8 +55,8 @@ const MuzzleFlash = (function() {
         // 2. Create particle effects for the muzzle flash
         createParticles();
         
-        // 3. After flash duration, return to normal
-        setTimeout(() => {
+        // 3. After flash duration, return to normal (game time, so a pause holds the flash)
+        GameClock.setTimeout(() => {
             resetFlash();
         }, flashDuration);
     }
@@ -86,18 +86,18 @@ const MuzzleFlash = (function() {
             
             // Add small random offset to particle position
             particle.position.x += weaponGlow.position.x + 0.5;
-            particle.position.y += Math.random() * 0.5 - 0.25;
-            particle.position.z += Math.random() * 0.5 - 0.25;
+            particle.position.y += GameClock.random() * 0.5 - 0.25;
+            particle.position.z += GameClock.random() * 0.5 - 0.25;
             
             // Set random velocity
             particle.velocity = new THREE.Vector3(
-                Math.random() * 0.1 + 0.05, // Forward
-                Math.random() * 0.04 - 0.02, // Small up/down
-                Math.random() * 0.04 - 0.02  // Small left/right
+                GameClock.random() * 0.1 + 0.05, // Forward
+                GameClock.random() * 0.04 - 0.02, // Small up/down
+                GameClock.random() * 0.04 - 0.02  // Small left/right
             );
             
             // Store creation time for lifetime calculation
-            particle.createdAt = Date.now();
+            particle.createdAt = GameClock.now();
             
             // Add particle to the scene and to our array
             scene.add(particle);
@@ -107,7 +107,7 @@ const MuzzleFlash = (function() {
     
     // Clean up expired particles
     function cleanupParticles() {
-        const now = Date.now();
+        const now = GameClock.now();
         
         // Remove expired particles
         for (let i = particles.length - 1; i >= 0; i--) {
@@ -131,7 +131,7 @@ const MuzzleFlash = (function() {
         
         // Gradually return to original color and scale
         const resetDuration = 200; // ms
-        const startTime = Date.now();
+        const startTime = GameClock.now();
         const startColor = {
             r: weaponGlow.material.color.r,
             g: weaponGlow.material.color.g,
@@ -144,7 +144,7 @@ const MuzzleFlash = (function() {
         };
         
         function animateReset() {
-            const elapsed = Date.now() - startTime;
+            const elapsed = GameClock.now() - startTime;
             const progress = Math.min(elapsed / resetDuration, 1);
             
             // Ease back to original values
@@ -175,14 +175,13 @@ const MuzzleFlash = (function() {
     function update() {
         if (particles.length === 0) return;
         
-        const now = Date.now();
+        const now = GameClock.now();
+        const frameScale = GameClock.getFrameScale();
         
         // Update particles
         particles.forEach(particle => {
-            // Move particle based on velocity
-            particle.position.x += particle.velocity.x;
-            particle.position.y += particle.velocity.y;
-            particle.position.z += particle.velocity.z;
+            // Move particle based on velocity (units per 60fps frame)
+            particle.position.addScaledVector(particle.velocity, frameScale);
             
             // Calculate age and fade out
             const age = now - particle.createdAt;
@@ -213,4 +212,8 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = MuzzleFlash;
 } else {
     window.MuzzleFlash = MuzzleFlash;
+    GameHooks.register('MuzzleFlash', MuzzleFlash);
+    
+    // Flash the weapon whenever the player fires a shot
+    GameHooks.on('shotFired', () => MuzzleFlash.triggerFlash());
 }
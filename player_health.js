@@ -0,0 +1,265 @@
+// player_health.js - Handles player health, shield, and the player health bar display
+// This file mirrors enemy_damage.js for the player: bullet hits and failed targets cost HP
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for player health
+    const playerHealthConfig = {
+        maxHealth: 100,                             // Maximum health
+        maxShield: 50,                              // Maximum shield (absorbs damage before health)
+        bulletDamage: 15,                           // Damage taken per bullet hit
+        failedTargetDamage: 5,                      // Damage taken when a target times out
+        invulnerabilityTime: 500,                   // ms after a hit during which further hits are ignored
+        shieldRegenDelay: 3000,                     // ms without a hit before the shield starts recharging
+        shieldRegenRate: 10,                        // Shield points recharged per second
+        healthBarColor: '#ff00ff',                  // Default health bar color (matches the character)
+        shieldBarColor: '#00ffff'                   // Shield bar color
+    };
+
+    // State variables for player health
+    const playerState = {
+        currentHealth: 100,                         // Current health (initialized to max)
+        currentShield: 50,                          // Current shield (initialized to max)
+        totalDamageTaken: 0,                        // Total damage taken so far
+        hitsTaken: 0,                               // Number of bullet hits
+        targetsFailed: 0,                           // Number of failed targets that cost HP
+        lastHitTime: 0,                             // Timestamp of the last damage taken
+        lastUpdateTime: 0,                          // Timestamp of the last regen update
+        isDefeated: false,                          // Whether the player is defeated
+    };
+
+    // Called when the player's health reaches zero (set by the main game)
+    let defeatCallback = null;
+
+    // DOM elements (static HTML elements in index.html)
+    let healthBarContainer = null;
+    let healthBarFill = null;
+    let shieldBarFill = null;
+    let healthText = null;
+
+    // Initialize player health system
+    function initPlayerHealth() {
+        console.log("Initializing player health system");
+
+        // Reset player state
+        resetState();
+
+        // Get references to the static HTML elements
+        healthBarContainer = document.getElementById('static-player-health-container');
+        healthBarFill = document.getElementById('static-player-health-fill');
+        shieldBarFill = document.getElementById('static-player-shield-fill');
+        healthText = document.getElementById('static-player-health-value');
+
+        updateHealthBar();
+
+        console.log("Player health system initialized with static HTML elements");
+    }
+
+    // Reset the state values to full health and shield
+    function resetState() {
+        playerState.currentHealth = playerHealthConfig.maxHealth;
+        playerState.currentShield = playerHealthConfig.maxShield;
+        playerState.totalDamageTaken = 0;
+        playerState.hitsTaken = 0;
+        playerState.targetsFailed = 0;
+        playerState.lastHitTime = 0;
+        playerState.lastUpdateTime = GameClock.now();
+        playerState.isDefeated = false;
+    }
+
+    // Update health and shield bar display
+    function updateHealthBar() {
+        if (!healthBarFill || !shieldBarFill || !healthText) {
+            healthBarFill = document.getElementById('static-player-health-fill');
+            shieldBarFill = document.getElementById('static-player-shield-fill');
+            healthText = document.getElementById('static-player-health-value');
+            if (!healthBarFill || !shieldBarFill || !healthText) {
+                console.error("Could not find player health bar elements!");
+                return;
+            }
+        }
+
+        const healthPercent = (playerState.currentHealth / playerHealthConfig.maxHealth) * 100;
+        const shieldPercent = (playerState.currentShield / playerHealthConfig.maxShield) * 100;
+
+        healthBarFill.style.width = healthPercent + '%';
+        shieldBarFill.style.width = shieldPercent + '%';
+
+        // Change color based on health remaining
+        if (healthPercent <= 20) {
+            healthBarFill.style.backgroundColor = '#ff0000';
+            healthBarFill.style.boxShadow = '0 0 10px rgba(255, 0, 0, 0.8)';
+        } else if (healthPercent <= 50) {
+            healthBarFill.style.backgroundColor = '#ff6600';
+            healthBarFill.style.boxShadow = 'none';
+        } else {
+            healthBarFill.style.backgroundColor = playerHealthConfig.healthBarColor;
+            healthBarFill.style.boxShadow = 'none';
+        }
+
+        healthText.textContent = Math.ceil(playerState.currentHealth);
+    }
+
+    // Take damage - the shield absorbs it first, the rest comes off health
+    function takeDamage(amount) {
+        const shieldAbsorbed = Math.min(playerState.currentShield, amount);
+        playerState.currentShield -= shieldAbsorbed;
+
+        const healthDamage = amount - shieldAbsorbed;
+        playerState.currentHealth = Math.max(0, playerState.currentHealth - healthDamage);
+        playerState.totalDamageTaken += amount;
+        playerState.lastHitTime = GameClock.now();
+
+        console.log(`Player took ${amount} damage (${shieldAbsorbed} absorbed by shield): health = ${playerState.currentHealth}, shield = ${playerState.currentShield}`);
+
+        if (playerState.currentHealth <= 0) {
+            playerState.isDefeated = true;
+            onPlayerDefeated();
+        }
+
+        updateHealthBar();
+
+        return {
+            damage: amount,
+            shieldAbsorbed: shieldAbsorbed,
+            remainingHealth: playerState.currentHealth,
+            remainingShield: playerState.currentShield,
+            isDefeated: playerState.isDefeated
+        };
+    }
+
+    // Apply a bullet hit (ignored during the short invulnerability window after a hit)
+    function applyHit(amount = playerHealthConfig.bulletDamage) {
+        if (playerState.isDefeated) {
+            return { damage: 0, ignored: true };
+        }
+
+        if (GameClock.now() - playerState.lastHitTime < playerHealthConfig.invulnerabilityTime) {
+            return { damage: 0, ignored: true };
+        }
+
+        playerState.hitsTaken++;
+        const result = takeDamage(amount);
+        GameHooks.emit('playerHit', result);
+        return result;
+    }
+
+    // Apply the penalty for a target that timed out
+    function applyTargetFailure(targetText) {
+        if (playerState.isDefeated || playerHealthConfig.failedTargetDamage <= 0) {
+            return { damage: 0 };
+        }
+
+        console.log(`Failed target "${targetText}" costs the player HP`);
+        playerState.targetsFailed++;
+        return takeDamage(playerHealthConfig.failedTargetDamage);
+    }
+
+    // Per-frame update: recharge the shield after a while without hits (in game time, so the
+    // shield doesn't recharge while the game is paused)
+    function update() {
+        const now = GameClock.now();
+        const elapsed = (now - playerState.lastUpdateTime) / 1000;
+        playerState.lastUpdateTime = now;
+
+        if (playerState.isDefeated || playerState.currentShield >= playerHealthConfig.maxShield) {
+            return;
+        }
+
+        if (now - playerState.lastHitTime >= playerHealthConfig.shieldRegenDelay) {
+            playerState.currentShield = Math.min(
+                playerHealthConfig.maxShield,
+                playerState.currentShield + playerHealthConfig.shieldRegenRate * elapsed
+            );
+            updateHealthBar();
+        }
+    }
+
+    // Handle player defeated
+    function onPlayerDefeated() {
+        console.log("Player defeated!");
+
+        if (typeof defeatCallback === 'function') {
+            defeatCallback(getPlayerState());
+        }
+    }
+
+    // Set the function called when the player is defeated
+    function setDefeatCallback(callback) {
+        defeatCallback = callback;
+    }
+
+    // Reset player health system (for new levels or when restarting)
+    function resetPlayerHealthSystem() {
+        resetState();
+        updateHealthBar();
+
+        console.log("Player health system reset");
+    }
+
+    // Get player state for other systems
+    function getPlayerState() {
+        return {
+            currentHealth: playerState.currentHealth,
+            maxHealth: playerHealthConfig.maxHealth,
+            currentShield: playerState.currentShield,
+            maxShield: playerHealthConfig.maxShield,
+            healthPercent: (playerState.currentHealth / playerHealthConfig.maxHealth) * 100,
+            totalDamageTaken: playerState.totalDamageTaken,
+            hitsTaken: playerState.hitsTaken,
+            targetsFailed: playerState.targetsFailed,
+            isDefeated: playerState.isDefeated
+        };
+    }
+
+    // Show the health bar UI with a fade-in effect
+    function showUI() {
+        if (!healthBarContainer) {
+            healthBarContainer = document.getElementById('static-player-health-container');
+            if (!healthBarContainer) {
+                console.error("Could not find player health bar container!");
+                return;
+            }
+        }
+
+        healthBarContainer.style.display = 'block';
+
+        // Using setTimeout to ensure the display change is processed first
+        setTimeout(() => {
+            healthBarContainer.style.opacity = '1';
+        }, 50);
+    }
+
+    // Hide the health bar UI
+    function hideUI() {
+        if (!healthBarContainer) {
+            healthBarContainer = document.getElementById('static-player-health-container');
+            if (!healthBarContainer) {
+                console.error("Could not find player health bar container!");
+                return;
+            }
+        }
+
+        healthBarContainer.style.opacity = '0';
+
+        // After animation completes, set display to none
+        setTimeout(() => {
+            healthBarContainer.style.display = 'none';
+        }, 500); // Match the transition duration
+    }
+
+    // Export functions to be used in the main game
+    window.PlayerHealth = {
+        init: initPlayerHealth,
+        applyHit: applyHit,
+        applyTargetFailure: applyTargetFailure,
+        update: update,
+        setDefeatCallback: setDefeatCallback,
+        resetSystem: resetPlayerHealthSystem,
+        getState: getPlayerState,
+        showUI: showUI,
+        hideUI: hideUI,
+        config: playerHealthConfig
+    };
+    GameHooks.register('PlayerHealth', window.PlayerHealth);
+})();
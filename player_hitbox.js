@@ -0,0 +1,239 @@
+// player_hitbox.js - Handles player hitboxes, dashing and near-miss "graze" detection
+// Replaces the single collision sphere with per-part boxes that follow the crouch/jump pose
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the hitbox system
+    const hitboxConfig = {
+        // Boxes in the character's local space (before its scale is applied) - these
+        // roughly cover the head, body/arms and legs meshes built in index.html
+        parts: [
+            { name: 'head',  center: { x: 0, y: 8,  z: 0 }, halfSize: { x: 2,   y: 2,   z: 1.5 } },
+            { name: 'torso', center: { x: 0, y: 2,  z: 0 }, halfSize: { x: 2.5, y: 4,   z: 1.5 } },
+            { name: 'legs',  center: { x: 0, y: -5, z: 0 }, halfSize: { x: 2.5, y: 3.5, z: 1.5 } }
+        ],
+        bulletRadius: 1.0,          // Fallback radius when a bullet's geometry doesn't tell us
+        grazeDistance: 2.5,         // Extra distance around the boxes that counts as a near miss
+        dashSpeed: 2.5,             // Units moved per frame (at 60fps) while dashing
+        dashDuration: 150,          // How long a dash lasts (ms)
+        dashCooldown: 600,          // Minimum time between dashes (ms)
+        invulnerabilityTime: 300,   // Invulnerability frames granted by a dash (ms, from dash start)
+        debugColor: 0x00ff00,       // Debug box color
+        debugHitColor: 0xff0000,    // Debug box color while invulnerable
+    };
+
+    // State variables for the hitbox system
+    const hitboxState = {
+        boxes: [],                  // World-space boxes computed for the current frame
+        isDashing: false,           // Whether a dash is in progress
+        dashDirection: 1,           // -1 = left, 1 = right
+        dashStartTime: 0,           // When the current dash started
+        lastDashTime: -Infinity,    // When the last dash started (for the cooldown)
+        invulnerableUntil: 0,       // Timestamp until which hits are ignored
+        grazeCount: 0,              // Number of grazes this battle
+        debugView: false,           // Whether the debug boxes are drawn
+        debugHelpers: [],           // THREE.Box3Helper objects for the debug view
+        debugScene: null            // Scene the debug helpers were added to
+    };
+
+    // Compute the world-space boxes for the character's current position and pose
+    function updateBoxes(character) {
+        const position = character.position;
+        const scale = character.scale || { x: 1, y: 1, z: 1 };
+
+        hitboxState.boxes = hitboxConfig.parts.map(part => {
+            const centerX = position.x + part.center.x * scale.x;
+            const centerY = position.y + part.center.y * scale.y;
+            const centerZ = position.z + part.center.z * scale.z;
+            const halfX = part.halfSize.x * Math.abs(scale.x);
+            const halfY = part.halfSize.y * Math.abs(scale.y);
+            const halfZ = part.halfSize.z * Math.abs(scale.z);
+
+            return {
+                name: part.name,
+                min: { x: centerX - halfX, y: centerY - halfY, z: centerZ - halfZ },
+                max: { x: centerX + halfX, y: centerY + halfY, z: centerZ + halfZ }
+            };
+        });
+
+        if (hitboxState.debugView) {
+            updateDebugHelpers();
+        }
+
+        return hitboxState.boxes;
+    }
+
+    // Distance from a point to a box (0 if the point is inside it)
+    function distanceToBox(point, box) {
+        const dx = Math.max(box.min.x - point.x, 0, point.x - box.max.x);
+        const dy = Math.max(box.min.y - point.y, 0, point.y - box.max.y);
+        const dz = Math.max(box.min.z - point.z, 0, point.z - box.max.z);
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    // Radius of a bullet's sphere, taking its mesh scale into account
+    function getBulletRadius(bullet) {
+        const mesh = bullet.mesh;
+        const geometryRadius = mesh.geometry && mesh.geometry.parameters && mesh.geometry.parameters.radius;
+        const radius = geometryRadius || hitboxConfig.bulletRadius;
+        const scale = mesh.scale ? Math.max(mesh.scale.x, mesh.scale.y, mesh.scale.z) : 1;
+        return radius * scale;
+    }
+
+    // Distance from a bullet's surface to the nearest box (negative when overlapping)
+    function getBulletClearance(bullet) {
+        if (!bullet || !bullet.mesh || hitboxState.boxes.length === 0) {
+            return Infinity;
+        }
+
+        const point = bullet.mesh.position;
+        let closest = Infinity;
+
+        hitboxState.boxes.forEach(box => {
+            closest = Math.min(closest, distanceToBox(point, box));
+        });
+
+        return closest - getBulletRadius(bullet);
+    }
+
+    // Whether a bullet overlaps the player's boxes (ignoring invulnerability frames)
+    function hitTestBullet(bullet) {
+        return getBulletClearance(bullet) < 0;
+    }
+
+    // Check a bullet against the player's boxes
+    // Returns 'hit', 'graze' or null - each bullet grazes at most once, and a bullet
+    // passing through the player during invulnerability frames counts as a graze
+    function checkBullet(bullet) {
+        const clearance = getBulletClearance(bullet);
+
+        if (clearance < 0 && !isInvulnerable()) {
+            return 'hit';
+        }
+
+        if (clearance < hitboxConfig.grazeDistance && !bullet._grazed) {
+            bullet._grazed = true;
+            hitboxState.grazeCount++;
+            return 'graze';
+        }
+
+        return null;
+    }
+
+    // Start a dash in a direction (-1 = left, 1 = right)
+    function startDash(direction) {
+        const now = GameClock.now();
+        if (hitboxState.isDashing || now - hitboxState.lastDashTime < hitboxConfig.dashCooldown) {
+            return false;
+        }
+
+        hitboxState.isDashing = true;
+        hitboxState.dashDirection = direction < 0 ? -1 : 1;
+        hitboxState.dashStartTime = now;
+        hitboxState.lastDashTime = now;
+        hitboxState.invulnerableUntil = now + hitboxConfig.invulnerabilityTime;
+
+        console.log(`Dash ${hitboxState.dashDirection < 0 ? 'left' : 'right'}`);
+        return true;
+    }
+
+    // Move the character while a dash is in progress, staying within the movement bounds
+    function updateDash(character, bounds) {
+        if (!hitboxState.isDashing) {
+            return;
+        }
+
+        if (GameClock.now() - hitboxState.dashStartTime >= hitboxConfig.dashDuration) {
+            hitboxState.isDashing = false;
+            return;
+        }
+
+        character.position.x += hitboxState.dashDirection * hitboxConfig.dashSpeed * GameClock.getFrameScale();
+        if (bounds) {
+            character.position.x = Math.max(bounds.minX, Math.min(bounds.maxX, character.position.x));
+        }
+    }
+
+    // Whether hits are currently ignored
+    function isInvulnerable() {
+        return GameClock.now() < hitboxState.invulnerableUntil;
+    }
+
+    // Create, update or remove the Box3Helpers that draw the hitboxes
+    function updateDebugHelpers() {
+        if (typeof THREE === 'undefined' || !hitboxState.debugScene) {
+            return;
+        }
+
+        // Create helpers on first use (one per part)
+        if (hitboxState.debugHelpers.length === 0) {
+            hitboxConfig.parts.forEach(() => {
+                const helper = new THREE.Box3Helper(new THREE.Box3(), hitboxConfig.debugColor);
+                hitboxState.debugScene.add(helper);
+                hitboxState.debugHelpers.push(helper);
+            });
+        }
+
+        const color = isInvulnerable() ? hitboxConfig.debugHitColor : hitboxConfig.debugColor;
+
+        hitboxState.boxes.forEach((box, index) => {
+            const helper = hitboxState.debugHelpers[index];
+            if (!helper) return;
+            helper.box.min.set(box.min.x, box.min.y, box.min.z);
+            helper.box.max.set(box.max.x, box.max.y, box.max.z);
+            helper.material.color.set(color);
+        });
+    }
+
+    // Turn the debug view of the hitboxes on or off
+    function setDebugView(enabled, scene) {
+        hitboxState.debugView = enabled;
+        if (scene) {
+            hitboxState.debugScene = scene;
+        }
+
+        if (!enabled) {
+            hitboxState.debugHelpers.forEach(helper => {
+                if (hitboxState.debugScene) hitboxState.debugScene.remove(helper);
+            });
+            hitboxState.debugHelpers = [];
+        }
+
+        console.log(`Hitbox debug view ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    // Reset dash and graze state (for new levels or when restarting)
+    function resetHitboxSystem() {
+        hitboxState.isDashing = false;
+        hitboxState.dashStartTime = 0;
+        hitboxState.lastDashTime = -Infinity;
+        hitboxState.invulnerableUntil = 0;
+        hitboxState.grazeCount = 0;
+    }
+
+    // Get hitbox state for other systems
+    function getHitboxState() {
+        return {
+            boxes: hitboxState.boxes,
+            isDashing: hitboxState.isDashing,
+            isInvulnerable: isInvulnerable(),
+            grazeCount: hitboxState.grazeCount,
+            debugView: hitboxState.debugView
+        };
+    }
+
+    // Export functions to be used in the main game
+    window.PlayerHitbox = {
+        update: updateBoxes,
+        checkBullet: checkBullet,
+        hitTest: hitTestBullet,
+        dash: startDash,
+        updateDash: updateDash,
+        isInvulnerable: isInvulnerable,
+        setDebugView: setDebugView,
+        resetSystem: resetHitboxSystem,
+        getState: getHitboxState,
+        config: hitboxConfig
+    };
+    GameHooks.register('PlayerHitbox', window.PlayerHitbox);
+})();
@@ -0,0 +1,251 @@
+// player_shots.js - Handles the player's shots at the enemy
+// Each completed target fires a shot from the weapon glow, sized by the target's length and colored
+// by the combo. Damage lands when the shot does: a shot can miss an enemy that moved off its aim,
+// lose part of its damage to cover or be absorbed by the enemy's phase shield
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for player shots
+    const shotConfig = {
+        speed: 120,                 // Units per second a shot flies
+        minSize: 0.35,              // Shot radius for a one-character target
+        maxSize: 1.1,               // Shot radius for the longest targets
+        maxSizeLength: 40,          // Target length (characters) that gets the biggest shot
+        comboColors: [              // Shot color by the player's combo (the highest reached wins)
+            { combo: 0, color: 0x00ffff },
+            { combo: 5, color: 0xffff00 },
+            { combo: 10, color: 0xff00ff }
+        ],
+        glowScale: 1.8,             // Size of the glow around the shot compared to its core
+        aimHeight: 5,               // Height above the enemy's origin shots aim at (its core)
+        hitRadius: 5,               // Distance the enemy can move from the aim point and still be hit
+        coverDamageScale: 0.5,      // Share of a shot's damage that gets through when the enemy is in cover
+        shieldDamageScale: 0,       // Share of a shot's damage that gets through the enemy's phase shield
+        blockColor: 0xaaffff,       // Impact burst color for shots stopped by cover or a shield
+        burstDuration: 250,         // ms an impact burst lasts
+        missDistance: 80            // Units a missed shot keeps flying before it's removed
+    };
+
+    // State variables for shots
+    const shotState = {
+        scene: null,                // Scene the shots are added to
+        weaponGlow: null,           // Player's weapon glow, where shots start
+        enemy: null,                // Enemy model shots fly at
+        geometry: null,             // Shared sphere geometry (scaled per shot)
+        shots: [],                  // Shots in flight: { mesh, color, start, velocity, aim, startTime, duration, resolved, onImpact }
+        bursts: [],                 // Impact bursts: { mesh, startTime }
+        landedCallbacks: []         // Called once every shot in flight has landed
+    };
+
+    // Set up shots between the player's weapon and the enemy
+    function initShots(scene, weaponGlow, enemy) {
+        shotState.scene = scene;
+        shotState.weaponGlow = weaponGlow;
+        shotState.enemy = enemy;
+        shotState.geometry = new THREE.SphereGeometry(1, 12, 12);
+        console.log("Player shots initialized");
+    }
+
+    // Shot radius for a target's length
+    function getShotSize(targetLength) {
+        const share = Math.max(0, Math.min(1, (targetLength - 1) / (shotConfig.maxSizeLength - 1)));
+        return shotConfig.minSize + (shotConfig.maxSize - shotConfig.minSize) * share;
+    }
+
+    // Shot color for the player's combo
+    function getShotColor(combo) {
+        let color = shotConfig.comboColors[0].color;
+        shotConfig.comboColors.forEach(tier => {
+            if (combo >= tier.combo) {
+                color = tier.color;
+            }
+        });
+        return color;
+    }
+
+    // Where shots aim on the enemy right now
+    function getEnemyAim() {
+        const aim = new THREE.Vector3();
+        shotState.enemy.getWorldPosition(aim);
+        aim.y += shotConfig.aimHeight;
+        return aim;
+    }
+
+    // Fire a shot at the enemy
+    // options: { targetLength, combo, onImpact(impact) } - impact is { result, damageScale } where
+    // result is 'hit', 'cover', 'shielded' or 'miss' and damageScale the share of damage that lands
+    function fireShot(options = {}) {
+        const onImpact = options.onImpact || function() {};
+
+        // Without the scene there's nothing to fly - the shot lands straight away
+        if (!shotState.scene || !shotState.weaponGlow || !shotState.enemy) {
+            onImpact({ result: 'hit', damageScale: 1 });
+            return null;
+        }
+
+        const start = new THREE.Vector3();
+        shotState.weaponGlow.getWorldPosition(start);
+        const aim = getEnemyAim();
+        const distance = Math.max(0.01, start.distanceTo(aim));
+        const duration = distance / shotConfig.speed * 1000;
+
+        const size = getShotSize(options.targetLength || 1);
+        const color = getShotColor(options.combo || 0);
+
+        // Bright core stretched along its flight, with a fainter glow around it
+        const mesh = new THREE.Mesh(shotState.geometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+        mesh.scale.set(size * 2, size, size);
+        const glow = new THREE.Mesh(shotState.geometry, new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.5
+        }));
+        glow.scale.setScalar(shotConfig.glowScale);
+        mesh.add(glow);
+        mesh.position.copy(start);
+        shotState.scene.add(mesh);
+
+        const shot = {
+            mesh: mesh,
+            color: color,
+            start: start,
+            velocity: aim.clone().sub(start).divideScalar(distance / shotConfig.speed),
+            aim: aim,
+            startTime: GameClock.now(),
+            duration: duration,
+            resolved: false,
+            onImpact: onImpact
+        };
+        shotState.shots.push(shot);
+
+        // The muzzle flash listens for this to flash the weapon as the shot leaves
+        GameHooks.emit('shotFired', { targetLength: options.targetLength || 1, combo: options.combo || 0 });
+
+        return shot;
+    }
+
+    // Work out what a shot did when it reaches its aim point - returns false for a miss
+    function resolveShot(shot) {
+        shot.resolved = true;
+        const enemy = shotState.enemy;
+
+        let result = 'hit';
+        if (!enemy.visible || getEnemyAim().distanceTo(shot.aim) > shotConfig.hitRadius) {
+            result = 'miss';
+        } else if (window.EnemyPhases && EnemyPhases.isShielded()) {
+            result = 'shielded';
+        } else if (window.EnemyMovement && EnemyMovement.state.isCrouching) {
+            result = 'cover';
+        }
+
+        const damageScales = {
+            hit: 1,
+            cover: shotConfig.coverDamageScale,
+            shielded: shotConfig.shieldDamageScale,
+            miss: 0
+        };
+
+        if (result !== 'miss') {
+            addBurst(shot.aim, result === 'hit' ? shot.color : shotConfig.blockColor);
+        }
+        console.log(`Player shot ${result}`);
+
+        shot.onImpact({ result: result, damageScale: damageScales[result] });
+        return result !== 'miss';
+    }
+
+    // Flash a burst where a shot landed
+    function addBurst(position, color) {
+        const mesh = new THREE.Mesh(shotState.geometry, new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.9
+        }));
+        mesh.position.copy(position);
+        shotState.scene.add(mesh);
+        shotState.bursts.push({ mesh: mesh, startTime: GameClock.now() });
+    }
+
+    // Remove a shot or burst mesh (the geometry is shared)
+    function removeMesh(mesh) {
+        shotState.scene.remove(mesh);
+        mesh.material.dispose();
+        mesh.children.forEach(child => child.material.dispose());
+    }
+
+    // Number of shots that haven't landed yet
+    function getShotsInFlight() {
+        return shotState.shots.filter(shot => !shot.resolved).length;
+    }
+
+    // Call a function once every shot in flight has landed (straight away if none are flying)
+    function whenLanded(callback) {
+        if (getShotsInFlight() === 0) {
+            callback();
+        } else {
+            shotState.landedCallbacks.push(callback);
+        }
+    }
+
+    // Per-frame update: fly the shots, land the ones that arrived and fade the bursts
+    function updateShots() {
+        const now = GameClock.now();
+
+        shotState.shots = shotState.shots.filter(shot => {
+            const elapsed = now - shot.startTime;
+            shot.mesh.position.copy(shot.start).addScaledVector(shot.velocity, elapsed / 1000);
+
+            // Landed shots vanish into their burst - misses fly on past the enemy
+            if (!shot.resolved && elapsed >= shot.duration && resolveShot(shot)) {
+                removeMesh(shot.mesh);
+                return false;
+            }
+
+            if (shot.resolved && elapsed >= shot.duration + shotConfig.missDistance / shotConfig.speed * 1000) {
+                removeMesh(shot.mesh);
+                return false;
+            }
+            return true;
+        });
+
+        shotState.bursts = shotState.bursts.filter(burst => {
+            const t = (now - burst.startTime) / shotConfig.burstDuration;
+            if (t >= 1) {
+                removeMesh(burst.mesh);
+                return false;
+            }
+            burst.mesh.scale.setScalar(1 + t * 3);
+            burst.mesh.material.opacity = 0.9 * (1 - t);
+            return true;
+        });
+
+        if (shotState.landedCallbacks.length > 0 && getShotsInFlight() === 0) {
+            const callbacks = shotState.landedCallbacks;
+            shotState.landedCallbacks = [];
+            callbacks.forEach(callback => callback());
+        }
+    }
+
+    // Remove every shot and burst without landing them (for leaving or restarting a battle)
+    function clearShots() {
+        if (!shotState.scene) return;
+
+        shotState.shots.forEach(shot => removeMesh(shot.mesh));
+        shotState.bursts.forEach(burst => removeMesh(burst.mesh));
+        shotState.shots = [];
+        shotState.bursts = [];
+        shotState.landedCallbacks = [];
+    }
+
+    // Export functions to be used in the main game
+    window.PlayerShots = {
+        init: initShots,
+        fire: fireShot,
+        update: updateShots,
+        whenLanded: whenLanded,
+        getShotsInFlight: getShotsInFlight,
+        clear: clearShots,
+        config: shotConfig
+    };
+    GameHooks.register('PlayerShots', window.PlayerShots);
+})();
@@ -0,0 +1,375 @@
+// replay.js - Handles recording battles and playing them back
+// A recording keeps the battle's seed and settings, every frame's length and song time and every
+// key pressed with its audio timestamp. Playback repeats the frames with the same seed and sends the
+// recorded keys through the game's own key handlers, so the same bullets and enemy moves play out.
+// Finished battles are kept in localStorage and can be exported and imported as JSON files
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for replays
+    const replayConfig = {
+        storageKey: 'synthpocalypse-replays',   // localStorage key for the saved replays
+        version: 1,                 // Current replay format version
+        maxReplays: 5,              // Most recent replays kept (a replay is a few hundred KB)
+        maxAudioDrift: 0.25         // Seconds the music may drift from a replay's song time before it's moved back
+    };
+
+    // State variables for recording and playback
+    const replayState = {
+        mode: 'idle',               // 'idle', 'recording' or 'playing'
+        replay: null,               // Replay being recorded or played
+        frameIndex: 0,              // Playback: next frame to play
+        eventIndex: 0,              // Playback: next event to send
+        finished: false,            // Playback: every recorded frame has been played
+        songTime: 0,                // Song time (seconds) the game reads for the current frame or key
+        lyricOffset: 0,             // Lyric offset (ms) in use - the recorded one during playback
+        onLyricOffset: null         // Called when a replay changes the lyric offset mid-battle
+    };
+
+    // Song time rounded to the millisecond, as stored in a replay
+    function toSongTime(audioTime) {
+        return Math.round((audioTime || 0) * 1000) / 1000;
+    }
+
+    // An empty replay for a new recording
+    // info: { trackId, trackName, settings: { difficulty, typingMode, inputRules, lyricOffset } }
+    function createReplay(info, seed) {
+        return {
+            version: replayConfig.version,
+            id: `replay-${Date.now()}`,
+            trackId: info.trackId,
+            trackName: info.trackName,
+            recordedAt: new Date().toISOString(),
+            seed: seed,
+            settings: Object.assign({}, info.settings),
+            frameDeltas: [],        // Frame lengths in tenths of a millisecond
+            frameTimes: [],         // Song time at each frame in milliseconds
+            events: [],             // { frame, type: 'keydown'|'keyup', time, key, shiftKey, ctrlKey, altKey, metaKey, repeat }
+                                    // or { frame, type: 'offset', value } for a lyric offset change (ms)
+            result: null            // { outcome, score, accuracy } once the battle is over
+        };
+    }
+
+    // Start a battle: seeds the random numbers from the replay being watched, or starts recording
+    // with a new seed (record: false plays the battle without recording it, e.g. editor previews)
+    // info: { trackId, trackName, settings, record }
+    function beginBattle(info) {
+        if (replayState.mode === 'playing') {
+            // Watching (or rewatching after a restart) starts from the first frame
+            replayState.frameIndex = 0;
+            replayState.eventIndex = 0;
+            replayState.finished = false;
+            replayState.songTime = 0;
+            replayState.lyricOffset = replayState.replay.settings.lyricOffset || 0;
+            GameClock.setSeed(replayState.replay.seed);
+            console.log(`Playing replay of ${replayState.replay.trackName} (seed ${replayState.replay.seed})`);
+            return;
+        }
+
+        const seed = GameClock.createSeed();
+        GameClock.setSeed(seed);
+        replayState.songTime = 0;
+        replayState.lyricOffset = (info.settings && info.settings.lyricOffset) || 0;
+
+        if (info.record === false) {
+            replayState.mode = 'idle';
+            replayState.replay = null;
+            return;
+        }
+
+        replayState.mode = 'recording';
+        replayState.replay = createReplay(info, seed);
+        console.log(`Recording replay of ${info.trackName} (seed ${seed})`);
+    }
+
+    // Advance the game clock for an animation frame - replaces GameClock.tick() in the game loop
+    // Recording stores the frame, playback sends the frame's keys and repeats its length and song time
+    // Returns the frame's delta time in seconds
+    function tick(audioTime) {
+        const replay = replayState.replay;
+
+        if (replayState.mode === 'playing' && !replayState.finished) {
+            if (replayState.frameIndex >= replay.frameDeltas.length) {
+                replayState.finished = true;
+                console.log("Replay finished");
+            } else {
+                sendFrameEvents(replayState.frameIndex);
+                replayState.songTime = replay.frameTimes[replayState.frameIndex] / 1000;
+                const delta = GameClock.tick(replay.frameDeltas[replayState.frameIndex] / 10000);
+                replayState.frameIndex++;
+                return delta;
+            }
+        }
+
+        const delta = GameClock.tick();
+        replayState.songTime = toSongTime(audioTime);
+
+        // Paused frames change nothing, so they're left out of the recording
+        if (replayState.mode === 'recording' && !GameClock.isPaused()) {
+            replay.frameDeltas.push(Math.round(delta * 10000));
+            replay.frameTimes.push(Math.round(replayState.songTime * 1000));
+        }
+
+        return delta;
+    }
+
+    // Send the recorded events that came before a frame
+    function sendFrameEvents(frame) {
+        const events = replayState.replay.events;
+        while (replayState.eventIndex < events.length && events[replayState.eventIndex].frame <= frame) {
+            const event = events[replayState.eventIndex++];
+
+            if (event.type === 'offset') {
+                replayState.lyricOffset = event.value;
+                if (replayState.onLyricOffset) {
+                    replayState.onLyricOffset(event.value);
+                }
+                continue;
+            }
+
+            // Key handlers read the song time the key was pressed at
+            replayState.songTime = event.time / 1000;
+            document.dispatchEvent(new KeyboardEvent(event.type, {
+                key: event.key,
+                shiftKey: event.shiftKey,
+                ctrlKey: event.ctrlKey,
+                altKey: event.altKey,
+                metaKey: event.metaKey,
+                repeat: event.repeat,
+                bubbles: true,
+                cancelable: true
+            }));
+        }
+    }
+
+    // Called for every key event before the game's handlers see it
+    // Records the key while recording - returns false if the game should ignore it, which is
+    // every real key press while a replay is playing (the replay presses its own keys)
+    function handleKeyEvent(event, audioTime) {
+        if (replayState.mode === 'playing') {
+            return !event.isTrusted;
+        }
+
+        if (replayState.mode === 'recording') {
+            replayState.songTime = toSongTime(audioTime);
+            replayState.replay.events.push({
+                frame: replayState.replay.frameDeltas.length,
+                type: event.type,
+                time: Math.round(replayState.songTime * 1000),
+                key: event.key,
+                shiftKey: event.shiftKey,
+                ctrlKey: event.ctrlKey,
+                altKey: event.altKey,
+                metaKey: event.metaKey,
+                repeat: event.repeat
+            });
+        }
+
+        return true;
+    }
+
+    // Song time (seconds) for the game to use - the recorded one during playback
+    function getSongTime() {
+        return replayState.songTime;
+    }
+
+    // The lyric offset (ms) a replay is using
+    function getLyricOffset() {
+        return replayState.lyricOffset;
+    }
+
+    // Note the lyric offset in use while recording (a nudge mid-battle is kept as an event)
+    function recordLyricOffset(offset) {
+        if (replayState.mode !== 'recording' || offset === replayState.lyricOffset) return;
+
+        replayState.lyricOffset = offset;
+        replayState.replay.events.push({
+            frame: replayState.replay.frameDeltas.length,
+            type: 'offset',
+            value: offset
+        });
+    }
+
+    // Set the function that applies a replay's lyric offset changes
+    function setLyricOffsetHandler(handler) {
+        replayState.onLyricOffset = handler;
+    }
+
+    // Finish recording and keep the replay
+    // result: { outcome, score, accuracy }
+    function stopRecording(result) {
+        if (replayState.mode !== 'recording') return null;
+
+        const replay = replayState.replay;
+        replay.result = Object.assign({}, result);
+        replayState.mode = 'idle';
+        replayState.replay = null;
+
+        if (replay.frameDeltas.length === 0) return null;
+
+        saveReplay(replay);
+        console.log(`Saved replay of ${replay.trackName}: ${replay.frameDeltas.length} frames, ${replay.events.length} events`);
+        return replay;
+    }
+
+    // Throw away the recording in progress (the battle was abandoned)
+    function cancelRecording() {
+        if (replayState.mode !== 'recording') return;
+        replayState.mode = 'idle';
+        replayState.replay = null;
+    }
+
+    // Get ready to play a replay - the battle itself starts with beginBattle
+    function startPlayback(replay) {
+        replayState.mode = 'playing';
+        replayState.replay = replay;
+        replayState.finished = false;
+    }
+
+    // Stop watching a replay
+    function stopPlayback() {
+        if (replayState.mode !== 'playing') return;
+        replayState.mode = 'idle';
+        replayState.replay = null;
+        console.log("Replay playback stopped");
+    }
+
+    // Whether a battle is being recorded
+    function isRecording() {
+        return replayState.mode === 'recording';
+    }
+
+    // Whether a replay is being watched
+    function isPlaying() {
+        return replayState.mode === 'playing';
+    }
+
+    // Whether the replay being watched has played all of its frames
+    function isFinished() {
+        return replayState.mode === 'playing' && replayState.finished;
+    }
+
+    // The replay being recorded or watched
+    function getReplay() {
+        return replayState.replay;
+    }
+
+    // Check that a replay has the shape we expect
+    function isValidReplay(data) {
+        return !!data &&
+               typeof data === 'object' &&
+               data.version === replayConfig.version &&
+               typeof data.trackId === 'string' &&
+               typeof data.seed === 'number' &&
+               !!data.settings && typeof data.settings === 'object' &&
+               Array.isArray(data.frameDeltas) &&
+               Array.isArray(data.frameTimes) &&
+               data.frameDeltas.length === data.frameTimes.length &&
+               Array.isArray(data.events);
+    }
+
+    // The saved replays, most recent first
+    function listReplays() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(replayConfig.storageKey) || "[]");
+            return Array.isArray(saved) ? saved.filter(isValidReplay) : [];
+        } catch (error) {
+            console.warn("Could not read saved replays:", error);
+            return [];
+        }
+    }
+
+    // Keep a replay, dropping the oldest ones when there are too many or storage is full
+    function saveReplay(replay) {
+        const replays = [replay].concat(listReplays().filter(saved => saved.id !== replay.id))
+            .slice(0, replayConfig.maxReplays);
+
+        while (replays.length > 0) {
+            try {
+                localStorage.setItem(replayConfig.storageKey, JSON.stringify(replays));
+                return true;
+            } catch (error) {
+                replays.pop();
+            }
+        }
+
+        console.warn("Could not save the replay - storage is full");
+        return false;
+    }
+
+    // Find a saved replay by id
+    function findReplay(id) {
+        return listReplays().find(replay => replay.id === id) || null;
+    }
+
+    // Download a replay as a JSON file
+    function exportReplay(replay) {
+        const json = JSON.stringify(replay);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `synthpocalypse-replay-${replay.trackId}-${replay.recordedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log("Replay exported");
+    }
+
+    // Add a replay read from a JSON file to the saved ones (resolves to the replay)
+    function importReplay(file) {
+        return new Promise((resolve, reject) => {
+            if (!file) {
+                reject(new Error("No file selected"));
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const replay = JSON.parse(reader.result);
+                    if (!isValidReplay(replay)) {
+                        throw new Error("Not a replay from this version of the game");
+                    }
+                    if (!saveReplay(replay)) {
+                        throw new Error("Storage is full");
+                    }
+                    console.log(`Imported replay of ${replay.trackName}`);
+                    resolve(replay);
+                } catch (error) {
+                    reject(new Error(`Could not import replay: ${error.message || error}`));
+                }
+            };
+            reader.onerror = () => reject(new Error("Could not read the replay file"));
+            reader.readAsText(file);
+        });
+    }
+
+    // Export functions to be used in the main game
+    window.Replay = {
+        beginBattle: beginBattle,
+        tick: tick,
+        handleKeyEvent: handleKeyEvent,
+        getSongTime: getSongTime,
+        getLyricOffset: getLyricOffset,
+        recordLyricOffset: recordLyricOffset,
+        setLyricOffsetHandler: setLyricOffsetHandler,
+        stopRecording: stopRecording,
+        cancelRecording: cancelRecording,
+        startPlayback: startPlayback,
+        stopPlayback: stopPlayback,
+        isRecording: isRecording,
+        isPlaying: isPlaying,
+        isFinished: isFinished,
+        getReplay: getReplay,
+        listReplays: listReplays,
+        findReplay: findReplay,
+        exportReplay: exportReplay,
+        importReplay: importReplay,
+        config: replayConfig
+    };
+    GameHooks.register('Replay', window.Replay);
+})();
@@ -0,0 +1,245 @@
+// results_screen.js - Handles the end-of-song results screen
+// Tracks how each target went during a battle and shows a per-target breakdown,
+// a letter grade and the Win/Lose outcome when the song ends
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the results screen
+    const resultsConfig = {
+        hitRateWeight: 0.7,         // Share of the grade from targets hit
+        accuracyWeight: 0.3,        // Share of the grade from keystroke accuracy
+        bulletPenalty: 2,           // Grade points lost per bullet taken
+        maxBulletPenalty: 20,       // Cap on the bullet penalty
+        loseGradeCap: 'C',          // Best grade possible when the enemy survives
+        grades: [                   // Minimum grade points for each letter, best first
+            { grade: 'S', min: 95 },
+            { grade: 'A', min: 85 },
+            { grade: 'B', min: 70 },
+            { grade: 'C', min: 55 },
+            { grade: 'D', min: 40 },
+            { grade: 'F', min: 0 }
+        ]
+    };
+
+    // State variables for the current battle
+    const resultsState = {
+        targets: [],                // Per-target records in song order
+        activeIndex: null,          // Lyric index of the target on screen
+        bulletsTaken: 0             // Bullets taken over the whole battle
+    };
+
+    // Start tracking a new battle from the track's lyric list
+    function startBattle(lyrics) {
+        resultsState.targets = (lyrics || [])
+            .map((lyric, index) => ({ lyric, index }))
+            .filter(entry => entry.lyric.target)
+            .map(entry => ({
+                lyricIndex: entry.index,
+                target: entry.lyric.target,
+                lyric: entry.lyric.lyric,
+                status: 'pending',  // 'pending', 'hit', 'blocked' (typed, but the shot dealt nothing) or 'miss'
+                blockedBy: null,    // Why a blocked target's shot dealt nothing: 'miss' or 'shielded'
+                timeTaken: null,
+                timeWindow: null,
+                typos: 0,
+                damage: 0,
+                bulletsTaken: 0
+            }));
+        resultsState.activeIndex = null;
+        resultsState.bulletsTaken = 0;
+    }
+
+    // Find the record for a lyric index
+    function getRecord(lyricIndex) {
+        return resultsState.targets.find(record => record.lyricIndex === lyricIndex) || null;
+    }
+
+    // Mark a target as the one currently on screen (typos and bullets are attributed to it)
+    function setActiveTarget(lyricIndex) {
+        resultsState.activeIndex = lyricIndex;
+    }
+
+    // Record a wrong keystroke against the active target
+    function recordTypo() {
+        const record = getRecord(resultsState.activeIndex);
+        if (record) {
+            record.typos++;
+        }
+    }
+
+    // Record a bullet hit (against the active target if there is one)
+    function recordBulletHit() {
+        resultsState.bulletsTaken++;
+        const record = getRecord(resultsState.activeIndex);
+        if (record) {
+            record.bulletsTaken++;
+        }
+    }
+
+    // Record a completed target
+    function recordHit(lyricIndex, details = {}) {
+        const record = getRecord(lyricIndex);
+        if (!record) return;
+
+        record.status = 'hit';
+        record.timeTaken = details.timeTaken !== undefined ? details.timeTaken : null;
+        record.timeWindow = details.timeWindow !== undefined ? details.timeWindow : null;
+        record.damage = details.damage || 0;
+    }
+
+    // Record a completed target whose shot missed the enemy or was stopped by its shield
+    // details: { timeTaken, timeWindow, result } - result is the shot's 'miss' or 'shielded'
+    function recordShotMiss(lyricIndex, details = {}) {
+        const record = getRecord(lyricIndex);
+        if (!record) return;
+
+        record.status = 'blocked';
+        record.blockedBy = details.result || 'miss';
+        record.timeTaken = details.timeTaken !== undefined ? details.timeTaken : null;
+        record.timeWindow = details.timeWindow !== undefined ? details.timeWindow : null;
+        record.damage = 0;
+    }
+
+    // Whether a record's target was typed (its shot may still have missed)
+    function isTyped(record) {
+        return record.status === 'hit' || record.status === 'blocked';
+    }
+
+    // Record a target that timed out
+    function recordMiss(lyricIndex, timeWindow) {
+        const record = getRecord(lyricIndex);
+        if (!record || isTyped(record)) return;
+
+        record.status = 'miss';
+        record.timeWindow = timeWindow !== undefined ? timeWindow : null;
+    }
+
+    // Work out the grade points (0-100) and letter for a battle
+    function calculateGrade(summary) {
+        const hitRate = summary.totalTargets > 0 ? summary.targetsHit / summary.totalTargets : 0;
+        const penalty = Math.min(resultsConfig.maxBulletPenalty, summary.bulletsTaken * resultsConfig.bulletPenalty);
+        const points = Math.max(0, Math.round(
+            hitRate * 100 * resultsConfig.hitRateWeight +
+            summary.accuracy * resultsConfig.accuracyWeight -
+            penalty
+        ));
+
+        let grade = resultsConfig.grades.find(entry => points >= entry.min).grade;
+
+        // The enemy surviving caps the grade
+        if (summary.outcome === 'lose') {
+            const gradeOrder = resultsConfig.grades.map(entry => entry.grade);
+            if (gradeOrder.indexOf(grade) < gradeOrder.indexOf(resultsConfig.loseGradeCap)) {
+                grade = resultsConfig.loseGradeCap;
+            }
+        }
+
+        return { grade, points };
+    }
+
+    // Summarize the battle - outcome is 'win' if the enemy's health reached zero
+    function getSummary(options = {}) {
+        const enemy = options.enemyState || {};
+        const targetsHit = resultsState.targets.filter(isTyped).length;
+
+        const summary = {
+            outcome: enemy.isDefeated ? 'win' : 'lose',
+            enemyHealth: enemy.currentHealth !== undefined ? enemy.currentHealth : null,
+            enemyMaxHealth: enemy.maxHealth !== undefined ? enemy.maxHealth : null,
+            targetsHit: targetsHit,
+            shotsBlocked: resultsState.targets.filter(record => record.status === 'blocked').length,
+            totalTargets: resultsState.targets.length,
+            accuracy: options.accuracy || 0,
+            bulletsTaken: resultsState.bulletsTaken,
+            damageDealt: resultsState.targets.reduce((sum, record) => sum + record.damage, 0),
+            targets: resultsState.targets.map(record => Object.assign({}, record))
+        };
+
+        const grade = calculateGrade(summary);
+        summary.grade = grade.grade;
+        summary.gradePoints = grade.points;
+
+        return summary;
+    }
+
+    // Fill in and show the results screen - returns the summary
+    function showResults(options = {}) {
+        const summary = getSummary(options);
+
+        const outcomeElement = document.getElementById('results-outcome');
+        outcomeElement.textContent = summary.outcome === 'win' ? "Battle Won" : "Enemy Survived";
+        outcomeElement.style.color = summary.outcome === 'win' ? '#ffdd00' : '#ff3333';
+
+        document.getElementById('results-grade').textContent = summary.grade;
+        document.getElementById('results-targets').textContent = `${summary.targetsHit} / ${summary.totalTargets}`;
+        document.getElementById('results-accuracy').textContent = summary.accuracy + "%";
+        document.getElementById('results-bullets').textContent = summary.bulletsTaken;
+        document.getElementById('results-enemy-health').textContent =
+            summary.enemyHealth !== null ? `${summary.enemyHealth} / ${summary.enemyMaxHealth}` : "-";
+
+        // Per-target table
+        const body = document.getElementById('results-target-rows');
+        body.innerHTML = "";
+        summary.targets.forEach(record => {
+            const row = document.createElement('tr');
+            row.className = 'result-' + (record.status === 'pending' ? 'miss' : record.status);
+
+            const resultLabels = {
+                hit: "HIT",
+                blocked: record.blockedBy === 'shielded' ? "SHIELDED" : "SHOT MISSED"
+            };
+
+            const time = isTyped(record) && record.timeTaken !== null
+                ? `${record.timeTaken.toFixed(2)}s / ${record.timeWindow.toFixed(2)}s`
+                : (record.timeWindow !== null ? `- / ${record.timeWindow.toFixed(2)}s` : "-");
+
+            [
+                record.target,
+                resultLabels[record.status] || "MISS",
+                time,
+                record.typos,
+                record.damage,
+                record.bulletsTaken
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            body.appendChild(row);
+        });
+
+        document.getElementById('resultsMenu').style.display = 'flex';
+
+        console.log(`Results: ${summary.outcome}, grade ${summary.grade} (${summary.gradePoints} points)`);
+        return summary;
+    }
+
+    // Hide the results screen
+    function hideResults() {
+        document.getElementById('resultsMenu').style.display = 'none';
+    }
+
+    // Whether the results screen is showing
+    function isShowing() {
+        return document.getElementById('resultsMenu').style.display === 'flex';
+    }
+
+    // Export functions to be used in the main game
+    window.BattleResults = {
+        startBattle: startBattle,
+        setActiveTarget: setActiveTarget,
+        recordTypo: recordTypo,
+        recordBulletHit: recordBulletHit,
+        recordHit: recordHit,
+        recordShotMiss: recordShotMiss,
+        recordMiss: recordMiss,
+        getSummary: getSummary,
+        calculateGrade: calculateGrade,
+        show: showResults,
+        hide: hideResults,
+        isShowing: isShowing,
+        config: resultsConfig
+    };
+    GameHooks.register('BattleResults', window.BattleResults);
+})();
@@ -0,0 +1,288 @@
+// save_data.js - Handles saving high scores and run history to localStorage
+// The save uses a versioned schema so older saves can be migrated, and can be
+// exported/imported as a JSON file to move progress between browsers
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for save data
+    const saveConfig = {
+        storageKey: 'synthpocalypse-save',          // localStorage key
+        version: 1,                                 // Current save schema version
+        highScoresPerTable: 5,                      // High scores kept per track and difficulty
+        maxRunHistory: 50,                          // Most recent runs kept in the history
+        exportFileName: 'synthpocalypse-save.json'  // Default file name for exports
+    };
+
+    // Migrations from each old version to the next one (version -> function(save) returning the upgraded save)
+    // Add an entry here whenever the schema version is bumped
+    const migrations = {
+    };
+
+    // The current save in memory
+    let saveData = null;
+
+    // Create an empty save in the current schema
+    function createEmptySave() {
+        return {
+            version: saveConfig.version,
+            tracks: {},     // trackId -> difficulty -> { highScores, bestAccuracy, bestCombo }
+            runs: []        // Most recent runs first
+        };
+    }
+
+    // Check that a save has the shape we expect after migration
+    function isValidSave(data) {
+        return !!data &&
+               typeof data === 'object' &&
+               data.version === saveConfig.version &&
+               data.tracks && typeof data.tracks === 'object' && !Array.isArray(data.tracks) &&
+               Array.isArray(data.runs);
+    }
+
+    // Upgrade a save from an older schema version to the current one
+    function migrateSave(data) {
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            throw new Error("Save data has no version");
+        }
+
+        if (data.version > saveConfig.version) {
+            throw new Error(`Save data is from a newer version (${data.version}) of the game`);
+        }
+
+        let migrated = data;
+        while (migrated.version < saveConfig.version) {
+            const migrate = migrations[migrated.version];
+            if (!migrate) {
+                throw new Error(`No migration from save version ${migrated.version}`);
+            }
+            migrated = migrate(migrated);
+        }
+
+        if (!isValidSave(migrated)) {
+            throw new Error("Save data is malformed");
+        }
+
+        return normalizeSave(migrated);
+    }
+
+    // Make every track record and run usable - a hand-edited or damaged save loses the
+    // entries it can't use instead of breaking the leaderboard
+    function normalizeSave(save) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+
+        Object.keys(save.tracks).forEach(trackId => {
+            const difficulties = save.tracks[trackId];
+            if (!difficulties || typeof difficulties !== 'object' || Array.isArray(difficulties)) {
+                delete save.tracks[trackId];
+                return;
+            }
+
+            Object.keys(difficulties).forEach(difficulty => {
+                const records = difficulties[difficulty];
+                if (!records || typeof records !== 'object' || Array.isArray(records)) {
+                    delete difficulties[difficulty];
+                    return;
+                }
+
+                records.highScores = (Array.isArray(records.highScores) ? records.highScores : [])
+                    .filter(entry => entry && typeof entry === 'object' && isNumber(entry.score))
+                    .map(entry => ({
+                        score: entry.score,
+                        accuracy: isNumber(entry.accuracy) ? entry.accuracy : 0,
+                        maxCombo: isNumber(entry.maxCombo) ? entry.maxCombo : 0,
+                        date: typeof entry.date === 'string' ? entry.date : new Date(0).toISOString()
+                    }))
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, saveConfig.highScoresPerTable);
+                records.bestAccuracy = isNumber(records.bestAccuracy) ? records.bestAccuracy : 0;
+                records.bestCombo = isNumber(records.bestCombo) ? records.bestCombo : 0;
+            });
+        });
+
+        save.runs = save.runs
+            .filter(run => run && typeof run === 'object' && typeof run.trackId === 'string')
+            .slice(0, saveConfig.maxRunHistory);
+
+        return save;
+    }
+
+    // Load the save from localStorage (starting fresh if there is none or it can't be read)
+    function loadSave() {
+        let raw = null;
+        try {
+            raw = localStorage.getItem(saveConfig.storageKey);
+        } catch (error) {
+            console.warn("localStorage is not available - progress won't be saved", error);
+        }
+
+        if (!raw) {
+            saveData = createEmptySave();
+            return saveData;
+        }
+
+        try {
+            saveData = migrateSave(JSON.parse(raw));
+            console.log(`Loaded save data (${saveData.runs.length} runs)`);
+        } catch (error) {
+            console.error("Could not read save data, starting fresh:", error.message || error);
+            saveData = createEmptySave();
+        }
+
+        return saveData;
+    }
+
+    // Write the save to localStorage
+    function writeSave() {
+        try {
+            localStorage.setItem(saveConfig.storageKey, JSON.stringify(getSave()));
+            return true;
+        } catch (error) {
+            console.warn("Could not write save data:", error);
+            return false;
+        }
+    }
+
+    // Get the save, loading it on first use
+    function getSave() {
+        if (!saveData) {
+            loadSave();
+        }
+        return saveData;
+    }
+
+    // Get (creating if needed) the records for a track and difficulty
+    function getRecordTable(trackId, difficulty) {
+        const save = getSave();
+        if (!save.tracks[trackId]) {
+            save.tracks[trackId] = {};
+        }
+        if (!save.tracks[trackId][difficulty]) {
+            save.tracks[trackId][difficulty] = { highScores: [], bestAccuracy: 0, bestCombo: 0 };
+        }
+        return save.tracks[trackId][difficulty];
+    }
+
+    // Outcomes of runs that played the whole song - only these are ranked, a defeat is kept in the history only
+    const rankedOutcomes = ['win', 'lose', 'complete'];
+
+    // Record a run - returns { rank } where rank is the high-score position (1-based) or null
+    function recordRun(run) {
+        if (!run || !run.trackId) {
+            console.warn("Can't record a run without a track id");
+            return { rank: null };
+        }
+
+        const entry = {
+            trackId: run.trackId,
+            difficulty: run.difficulty || 'normal',
+            score: run.score || 0,
+            accuracy: run.accuracy || 0,
+            maxCombo: run.maxCombo || 0,
+            outcome: run.outcome || 'complete',
+            date: new Date().toISOString()
+        };
+
+        const save = getSave();
+        let rank = null;
+
+        if (rankedOutcomes.includes(entry.outcome)) {
+            const table = getRecordTable(entry.trackId, entry.difficulty);
+
+            // High scores, best first
+            const highScore = {
+                score: entry.score,
+                accuracy: entry.accuracy,
+                maxCombo: entry.maxCombo,
+                date: entry.date
+            };
+            table.highScores.push(highScore);
+            table.highScores.sort((a, b) => b.score - a.score);
+            table.highScores = table.highScores.slice(0, saveConfig.highScoresPerTable);
+
+            const index = table.highScores.indexOf(highScore);
+            rank = index >= 0 ? index + 1 : null;
+
+            table.bestAccuracy = Math.max(table.bestAccuracy, entry.accuracy);
+            table.bestCombo = Math.max(table.bestCombo, entry.maxCombo);
+        }
+
+        // Run history, most recent first
+        save.runs.unshift(entry);
+        save.runs = save.runs.slice(0, saveConfig.maxRunHistory);
+
+        writeSave();
+
+        console.log(`Recorded run on ${entry.trackId} (${entry.difficulty}): ${entry.score}` +
+                    (rank ? ` - high score #${rank}` : ""));
+
+        return { rank };
+    }
+
+    // Get the records for a track and difficulty (null if it has never been played)
+    function getTrackRecords(trackId, difficulty) {
+        const save = getSave();
+        return (save.tracks[trackId] && save.tracks[trackId][difficulty]) || null;
+    }
+
+    // Download the save as a JSON file
+    function exportSave() {
+        const json = JSON.stringify(getSave(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = saveConfig.exportFileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log("Save data exported");
+    }
+
+    // Replace the save with one read from a JSON file (resolves to the imported save)
+    function importSave(file) {
+        return new Promise((resolve, reject) => {
+            if (!file) {
+                reject(new Error("No file selected"));
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    saveData = migrateSave(JSON.parse(reader.result));
+                    writeSave();
+                    console.log(`Imported save data (${saveData.runs.length} runs)`);
+                    resolve(saveData);
+                } catch (error) {
+                    reject(new Error(`Could not import save: ${error.message || error}`));
+                }
+            };
+            reader.onerror = () => reject(new Error("Could not read the save file"));
+            reader.readAsText(file);
+        });
+    }
+
+    // Clear all saved progress
+    function resetSave() {
+        saveData = createEmptySave();
+        writeSave();
+        console.log("Save data reset");
+    }
+
+    // Export functions to be used in the main game
+    window.SaveData = {
+        load: loadSave,
+        getSave: getSave,
+        recordRun: recordRun,
+        getTrackRecords: getTrackRecords,
+        exportSave: exportSave,
+        importSave: importSave,
+        reset: resetSave,
+        migrate: migrateSave,
+        config: saveConfig
+    };
+    GameHooks.register('SaveData', window.SaveData);
+})();
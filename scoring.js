@@ -0,0 +1,269 @@
+// scoring.js - Handles score, combos, accuracy and the battle score breakdown
+// This file replaces the flat +100 per target with combo multipliers and bonuses
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for scoring
+    const scoringConfig = {
+        targetPoints: 100,          // Base points for a completed target
+        comboStep: 5,               // Every N consecutive targets raises the multiplier by 1
+        maxMultiplier: 4,           // Highest combo multiplier
+        timeBonusMax: 50,           // Bonus for an instant completion, scaled by time remaining
+        keystrokePenalty: 10,       // Points lost per wrong keystroke
+        noHitTargetBonus: 25,       // Bonus for a target completed without being hit since the last one
+        grazePoints: 25,            // Points per near miss
+        flawlessBonus: 1000,        // Bonus for winning a battle without taking a hit
+    };
+
+    // State variables for scoring
+    const scoringState = {
+        bankedScore: 0,             // Score from battles already finished this campaign
+        combo: 0,                   // Consecutive successful targets
+        maxCombo: 0,                // Longest combo this battle
+        correctKeystrokes: 0,       // Correct keystrokes this battle
+        incorrectKeystrokes: 0,     // Wrong keystrokes this battle
+        hitSinceLastTarget: false,  // Whether the player was hit since the last completed target
+        playerHits: 0,              // Bullet hits taken this battle
+        finalized: false,           // Whether the end-of-battle bonuses were added
+        breakdown: null             // Points earned this battle by source
+    };
+
+    // Fresh breakdown for a new battle
+    function createBreakdown() {
+        return {
+            targets: 0,             // Base target points including the combo multiplier
+            timeBonus: 0,           // Time-remaining bonuses
+            noHitBonus: 0,          // Per-target no-hit bonuses
+            grazeBonus: 0,          // Near miss points
+            flawlessBonus: 0,       // End-of-battle flawless bonus
+            penalties: 0            // Keystroke penalties (stored as a positive number)
+        };
+    }
+
+    // Total points earned this battle
+    function getBattleScore() {
+        const b = scoringState.breakdown;
+        return b.targets + b.timeBonus + b.noHitBonus + b.grazeBonus + b.flawlessBonus - b.penalties;
+    }
+
+    // Current score for the whole campaign
+    function getScore() {
+        return Math.max(0, scoringState.bankedScore + getBattleScore());
+    }
+
+    // Consecutive successful targets
+    function getCombo() {
+        return scoringState.combo;
+    }
+
+    // Current combo multiplier
+    function getMultiplier() {
+        return Math.min(scoringConfig.maxMultiplier, 1 + Math.floor(scoringState.combo / scoringConfig.comboStep));
+    }
+
+    // Keystroke accuracy this battle (0-100)
+    function getAccuracy() {
+        const total = scoringState.correctKeystrokes + scoringState.incorrectKeystrokes;
+        return total > 0 ? Math.round((scoringState.correctKeystrokes / total) * 100) : 0;
+    }
+
+    // Update the score, accuracy and combo HUD elements
+    function updateHUD() {
+        const scoreElement = document.getElementById('character-score');
+        const accuracyElement = document.getElementById('accuracy');
+        const comboElement = document.getElementById('combo-counter');
+        const multiplierElement = document.getElementById('combo-multiplier');
+
+        if (scoreElement) scoreElement.textContent = getScore();
+        if (accuracyElement) accuracyElement.textContent = getAccuracy() + "%";
+        if (comboElement) comboElement.textContent = scoringState.combo;
+        if (multiplierElement) {
+            multiplierElement.textContent = "x" + getMultiplier();
+            multiplierElement.style.color = getMultiplier() > 1 ? '#ffdd00' : '';
+        }
+    }
+
+    // Register a completed target - returns the points it earned
+    function registerTargetHit(options = {}) {
+        scoringState.combo++;
+        scoringState.maxCombo = Math.max(scoringState.maxCombo, scoringState.combo);
+
+        const multiplier = getMultiplier();
+        const basePoints = scoringConfig.targetPoints * multiplier;
+
+        // Time bonus scales with the fraction of the time window left over
+        let timeBonus = 0;
+        if (options.timeWindow > 0 && options.timeTaken >= 0) {
+            const remaining = Math.max(0, 1 - options.timeTaken / options.timeWindow);
+            timeBonus = Math.round(scoringConfig.timeBonusMax * remaining);
+        }
+
+        const noHitBonus = scoringState.hitSinceLastTarget ? 0 : scoringConfig.noHitTargetBonus;
+        scoringState.hitSinceLastTarget = false;
+
+        scoringState.breakdown.targets += basePoints;
+        scoringState.breakdown.timeBonus += timeBonus;
+        scoringState.breakdown.noHitBonus += noHitBonus;
+
+        updateHUD();
+
+        const points = basePoints + timeBonus + noHitBonus;
+        console.log(`Target scored ${points} (x${multiplier}, time bonus ${timeBonus}, no-hit bonus ${noHitBonus})`);
+        return points;
+    }
+
+    // Register a failed target - breaks the combo
+    function registerTargetMiss() {
+        if (scoringState.combo > 0) {
+            console.log(`Combo of ${scoringState.combo} broken`);
+        }
+        scoringState.combo = 0;
+        updateHUD();
+    }
+
+    // Register a keystroke - wrong keys cost points
+    function registerKeystroke(isCorrect) {
+        if (isCorrect) {
+            scoringState.correctKeystrokes++;
+        } else {
+            scoringState.incorrectKeystrokes++;
+            scoringState.breakdown.penalties += scoringConfig.keystrokePenalty;
+        }
+        updateHUD();
+    }
+
+    // Count the untyped characters of a failed target against accuracy
+    function registerMissedKeystrokes(count) {
+        if (count > 0) {
+            scoringState.incorrectKeystrokes += count;
+            updateHUD();
+        }
+    }
+
+    // Register a bullet hit on the player - cancels the no-hit bonuses
+    function registerPlayerHit() {
+        scoringState.hitSinceLastTarget = true;
+        scoringState.playerHits++;
+    }
+
+    // Register a near miss
+    function registerGraze() {
+        scoringState.breakdown.grazeBonus += scoringConfig.grazePoints;
+        updateHUD();
+    }
+
+    // Add the end-of-battle bonuses (only once per battle) and return the breakdown
+    // The flawless bonus needs a win as well as no hits taken
+    function finalizeBattle(options = {}) {
+        if (!scoringState.finalized) {
+            scoringState.finalized = true;
+            if (scoringState.playerHits === 0 && options.won !== false) {
+                scoringState.breakdown.flawlessBonus = scoringConfig.flawlessBonus;
+            }
+            updateHUD();
+        }
+        return getBreakdown();
+    }
+
+    // Keep this battle's points and start counting the next battle from zero
+    function bankBattle() {
+        scoringState.bankedScore = getScore();
+        startBattle();
+    }
+
+    // Start a new battle - any points from an unbanked battle (e.g. on retry) are discarded
+    function startBattle() {
+        scoringState.combo = 0;
+        scoringState.maxCombo = 0;
+        scoringState.correctKeystrokes = 0;
+        scoringState.incorrectKeystrokes = 0;
+        scoringState.hitSinceLastTarget = false;
+        scoringState.playerHits = 0;
+        scoringState.finalized = false;
+        scoringState.breakdown = createBreakdown();
+        updateHUD();
+    }
+
+    // Reset everything (for a new campaign)
+    function resetScoring() {
+        scoringState.bankedScore = 0;
+        startBattle();
+        console.log("Scoring reset");
+    }
+
+    // Get this battle's breakdown for the BATTLE WON screen
+    function getBreakdown() {
+        return Object.assign({}, scoringState.breakdown, {
+            battleScore: getBattleScore(),
+            totalScore: getScore(),
+            maxCombo: scoringState.maxCombo,
+            accuracy: getAccuracy(),
+            playerHits: scoringState.playerHits
+        });
+    }
+
+    // Fill in the breakdown panel and show it
+    function showBreakdown() {
+        const panel = document.getElementById('battle-breakdown');
+        if (!panel) {
+            console.error("Could not find battle breakdown element!");
+            return;
+        }
+
+        const b = getBreakdown();
+        const rows = [
+            ["Targets", b.targets],
+            ["Time Bonus", b.timeBonus],
+            ["No-Hit Bonus", b.noHitBonus],
+            ["Graze Bonus", b.grazeBonus],
+            ["Flawless", b.flawlessBonus],
+            ["Penalties", -b.penalties],
+            ["Max Combo", b.maxCombo],
+            ["Accuracy", b.accuracy + "%"],
+            ["Battle Score", b.battleScore]
+        ];
+
+        panel.innerHTML = "";
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.textContent = `${label}: ${value}`;
+            panel.appendChild(row);
+        });
+        panel.style.display = 'block';
+    }
+
+    // Hide the breakdown panel
+    function hideBreakdown() {
+        const panel = document.getElementById('battle-breakdown');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+
+    scoringState.breakdown = createBreakdown();
+
+    // Export functions to be used in the main game
+    window.Scoring = {
+        registerTargetHit: registerTargetHit,
+        registerTargetMiss: registerTargetMiss,
+        registerKeystroke: registerKeystroke,
+        registerMissedKeystrokes: registerMissedKeystrokes,
+        registerPlayerHit: registerPlayerHit,
+        registerGraze: registerGraze,
+        finalizeBattle: finalizeBattle,
+        bankBattle: bankBattle,
+        startBattle: startBattle,
+        reset: resetScoring,
+        getScore: getScore,
+        getBattleScore: getBattleScore,
+        getAccuracy: getAccuracy,
+        getCombo: getCombo,
+        getMultiplier: getMultiplier,
+        getBreakdown: getBreakdown,
+        showBreakdown: showBreakdown,
+        hideBreakdown: hideBreakdown,
+        updateHUD: updateHUD,
+        config: scoringConfig
+    };
+    GameHooks.register('Scoring', window.Scoring);
+})();
@@ -0,0 +1,137 @@
+// target_selector.js - Picks the typing target for each lyric line
+// Targets are derived from the end of each line (where the rhymes land) so new tracks
+// don't need a hand-written target list, with optional per-line overrides stored next to the LRC
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for target selection
+    const targetConfig = {
+        difficulty: 'normal',       // Current difficulty used to pick the word count
+        wordCounts: {               // Words taken from the end of the line per difficulty
+            story: 1,
+            normal: 2,
+            hard: 3,
+            insane: 4
+        },
+        maxWords: 5,                // Never extend a target past this many words
+        // Words that make a weak start for a phrase ("THE FIGHT", "TO ARMS") - the target
+        // is extended backwards until it starts on a stronger word
+        weakStartWords: ['A', 'AN', 'THE', 'TO', 'OF', 'AND', 'OR', 'BUT', 'AS', 'IS', 'ARE']
+    };
+
+    // Normalize text into the form the player types: uppercase letters and single spaces
+    function normalizePhrase(text) {
+        return (text || "")
+            .toUpperCase()
+            .replace(/['\u2018\u2019`]/g, '')   // "YOUTH'S" -> "YOUTHS" rather than "YOUTH S"
+            .replace(/[^A-Z\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Number of words to take from the end of a line for a difficulty
+    function getWordCount(difficulty) {
+        const name = difficulty || targetConfig.difficulty;
+        return targetConfig.wordCounts[name] || targetConfig.wordCounts.normal;
+    }
+
+    // Derive the typing target for a lyric line from its rhyme-end phrase
+    function selectTarget(lineText, options = {}) {
+        const words = normalizePhrase(lineText).split(' ').filter(word => word !== "");
+        if (words.length === 0) {
+            return "";
+        }
+
+        const wordCount = options.wordCount || getWordCount(options.difficulty);
+        const maxWords = Math.max(wordCount, targetConfig.maxWords);
+        let start = Math.max(0, words.length - wordCount);
+
+        // Extend backwards while the phrase starts on a weak word
+        while (start > 0 &&
+               words.length - start < maxWords &&
+               targetConfig.weakStartWords.includes(words[start])) {
+            start--;
+        }
+
+        return words.slice(start).join(' ');
+    }
+
+    // Load per-line overrides for a track (resolves to an empty map if the track has none)
+    function loadOverrides(url) {
+        if (!url) {
+            return Promise.resolve({});
+        }
+
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load target overrides ${url}: HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const overrides = (data && data.targets) || {};
+                console.log(`Loaded ${Object.keys(overrides).length} target overrides from ${url}`);
+                return overrides;
+            })
+            .catch(error => {
+                // Overrides are optional - fall back to automatic targets
+                console.warn(error.message || error);
+                return {};
+            });
+    }
+
+    // Build the game's lyric objects from parsed LRC lines, adding a target to each
+    // Overrides are keyed by the line's LRC timestamp ("mm:ss.xx"); a null or empty
+    // value means the line has no target
+    function assignTargets(lines, overrides = {}, options = {}) {
+        return lines.map(line => {
+            const lyricObj = {
+                time: line.time,
+                lyric: line.text,
+                section: line.section
+            };
+
+            // Enhanced LRC word times (copied, as the game shifts them by the lyric offset)
+            if (line.words) {
+                lyricObj.words = line.words.map(word => ({ time: word.time, text: word.text }));
+            }
+
+            const stamp = LrcLoader.formatTimestamp(line.rawTime !== undefined ? line.rawTime : line.time);
+            let target;
+
+            if (Object.prototype.hasOwnProperty.call(overrides, stamp)) {
+                target = normalizePhrase(overrides[stamp]);
+            } else {
+                target = selectTarget(line.text, options);
+            }
+
+            if (target) {
+                lyricObj.target = target;
+            }
+
+            return lyricObj;
+        });
+    }
+
+    // Change the difficulty used for automatic targets
+    function setDifficulty(difficulty) {
+        if (!targetConfig.wordCounts[difficulty]) {
+            console.warn("Unknown target difficulty:", difficulty);
+            return;
+        }
+        targetConfig.difficulty = difficulty;
+    }
+
+    // Export functions to be used in the main game
+    window.TargetSelector = {
+        selectTarget: selectTarget,
+        assignTargets: assignTargets,
+        loadOverrides: loadOverrides,
+        normalizePhrase: normalizePhrase,
+        setDifficulty: setDifficulty,
+        getWordCount: getWordCount,
+        config: targetConfig
+    };
+    GameHooks.register('TargetSelector', window.TargetSelector);
+})();
@@ -0,0 +1,144 @@
+// track_manifest.js - Loads and validates the track manifest for the campaign
+// The manifest lists every album track with its audio, lyrics and gameplay settings
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Configuration for the track manifest
+    const manifestConfig = {
+        url: 'assets/tracks.json',                  // Default manifest location
+        requiredFields: ['id', 'name', 'src', 'lrc'], // Fields every track must define
+        fileFields: ['src', 'lrc', 'targets', 'bullets'], // Fields that point at files we check exist
+        defaults: {                                 // Values used when a track leaves a field out
+            bpm: null,
+            beats: [],
+            enemy: 'trooper',
+            bulletPatterns: { cadence: 'horizontalLane', random: [] },
+            difficulty: 'normal'
+        }
+    };
+
+    // Check that a file exists without downloading it
+    function checkFileExists(url) {
+        return fetch(url, { method: 'HEAD' })
+            .then(response => {
+                // Some static servers don't support HEAD - fall back to a normal request
+                if (response.status === 405 || response.status === 501) {
+                    return fetch(url).then(getResponse => getResponse.ok);
+                }
+                return response.ok;
+            })
+            .catch(() => false);
+    }
+
+    // Validate the shape of a single track entry, returning a list of problems
+    function validateTrack(track, index) {
+        const problems = [];
+        const label = track && track.name ? `"${track.name}"` : `#${index + 1}`;
+
+        if (!track || typeof track !== 'object') {
+            problems.push(`Track ${label} is not an object`);
+            return problems;
+        }
+
+        manifestConfig.requiredFields.forEach(field => {
+            if (typeof track[field] !== 'string' || track[field].trim() === "") {
+                problems.push(`Track ${label} is missing "${field}"`);
+            }
+        });
+
+        if (track.beats !== undefined && !Array.isArray(track.beats)) {
+            problems.push(`Track ${label} has "beats" that is not a list`);
+        }
+
+        if (track.bpm !== undefined && track.bpm !== null && !(track.bpm > 0)) {
+            problems.push(`Track ${label} has an invalid "bpm"`);
+        }
+
+        return problems;
+    }
+
+    // Validate a parsed manifest and check that every referenced file exists
+    // Resolves to { tracks, errors } where tracks only contains playable entries
+    function validateManifest(manifest) {
+        const errors = [];
+
+        if (!manifest || !Array.isArray(manifest.tracks)) {
+            errors.push({ track: null, message: "Manifest has no \"tracks\" list" });
+            return Promise.resolve({ tracks: [], errors });
+        }
+
+        const seenIds = new Set();
+
+        const checks = manifest.tracks.map((track, index) => {
+            const problems = validateTrack(track, index);
+
+            if (track && track.id) {
+                if (seenIds.has(track.id)) {
+                    problems.push(`Track "${track.name}" reuses id "${track.id}"`);
+                }
+                seenIds.add(track.id);
+            }
+
+            if (problems.length > 0) {
+                problems.forEach(message => errors.push({ track: track || null, message }));
+                return Promise.resolve(null);
+            }
+
+            // Check every referenced file exists so we fail here rather than mid-song
+            const fileChecks = manifestConfig.fileFields
+                .filter(field => track[field])
+                .map(field => checkFileExists(track[field]).then(exists => ({ field, exists })));
+
+            return Promise.all(fileChecks).then(results => {
+                const missing = results.filter(result => !result.exists);
+
+                missing.forEach(result => {
+                    errors.push({
+                        track: track,
+                        message: `Track "${track.name}" is missing its ${result.field} file: ${track[result.field]}`
+                    });
+                });
+
+                return missing.length > 0 ? null : Object.assign({}, manifestConfig.defaults, track);
+            });
+        });
+
+        return Promise.all(checks).then(results => {
+            const tracks = results.filter(track => track !== null);
+
+            errors.forEach(error => console.error("Track manifest:", error.message));
+            console.log(`Track manifest validated: ${tracks.length} of ${manifest.tracks.length} tracks playable`);
+
+            return { tracks, errors, album: manifest.album || "" };
+        });
+    }
+
+    // Load the manifest JSON and validate it
+    function loadManifest(url = manifestConfig.url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load track manifest ${url}: HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(validateManifest)
+            .catch(error => {
+                console.error("Track manifest:", error);
+                return {
+                    tracks: [],
+                    errors: [{ track: null, message: error.message || String(error) }],
+                    album: ""
+                };
+            });
+    }
+
+    // Export functions to be used in the main game
+    window.TrackManifest = {
+        load: loadManifest,
+        validate: validateManifest,
+        validateTrack: validateTrack,
+        config: manifestConfig
+    };
+    GameHooks.register('TrackManifest', window.TrackManifest);
+})();
@@ -0,0 +1,189 @@
+// typing_modes.js - Handles the typing modes chosen from the main menu
+// Phrase mode types the short rhyme-end target, full-line mode types the whole lyric line in
+// capitals and strict mode types the line exactly as written, with case and punctuation
+
+// Using an IIFE to encapsulate our code and prevent global namespace pollution
+(function() {
+    // Typing modes, easiest first
+    const typingModes = {
+        phrase: {
+            label: 'Phrase',
+            fullLine: false,            // Whether the whole lyric line is typed
+            exact: false,               // Whether case and punctuation must match
+            timeScale: 1,               // Multiplier on the scaled time window
+            partialDamage: false        // Whether a line typed partway deals part of its damage
+        },
+        line: {
+            label: 'Full Line',
+            fullLine: true,
+            exact: false,
+            timeScale: 1,
+            partialDamage: true
+        },
+        strict: {
+            label: 'Strict',
+            fullLine: true,
+            exact: true,
+            timeScale: 1.25,            // Extra time for shift and punctuation keys
+            partialDamage: true
+        }
+    };
+
+    // Configuration for typing modes
+    const typingConfig = {
+        defaultMode: 'phrase',          // Selected when nothing has been chosen
+        order: ['phrase', 'line', 'strict'],
+        storageKey: 'synthpocalypse-typing-mode',  // Remembers the last choice between visits
+        referenceLength: 12,            // Target length (characters) the difficulty time windows are tuned for
+        // Typographic characters replaced with ones on the keyboard in strict targets
+        strictReplacements: [
+            [/[‘’ʼ`]/g, "'"],
+            [/[“”]/g, '"'],
+            [/[–—]/g, '-'],
+            [/…/g, '...']
+        ]
+    };
+
+    // The typing mode chosen on the main menu
+    let selectedMode = typingConfig.defaultMode;
+
+    // Choose a typing mode (remembered for the next visit)
+    function setMode(name) {
+        if (!typingModes[name]) {
+            console.warn("Unknown typing mode:", name);
+            return false;
+        }
+
+        selectedMode = name;
+        try {
+            localStorage.setItem(typingConfig.storageKey, name);
+        } catch (error) {
+            // Not being able to remember the choice isn't a problem
+        }
+
+        console.log("Typing mode set to:", name);
+        return true;
+    }
+
+    // The typing mode chosen on the main menu
+    function getMode() {
+        return selectedMode;
+    }
+
+    // Get the settings for a typing mode (defaults to the chosen one)
+    function getSettings(name) {
+        return typingModes[name || selectedMode] || typingModes[typingConfig.defaultMode];
+    }
+
+    // A lyric line as typed in strict mode: keyboard punctuation, single spaces, nothing untypeable
+    function toStrictText(text) {
+        let strict = text || "";
+        typingConfig.strictReplacements.forEach(([pattern, replacement]) => {
+            strict = strict.replace(pattern, replacement);
+        });
+        return strict
+            .replace(/[^\x20-\x7e]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Set each lyric's target for the chosen mode - the phrase target is kept as phraseTarget
+    // Lines without a phrase target (overridden to none) stay without one in every mode
+    function applyMode(lyrics) {
+        const mode = getSettings();
+
+        lyrics.forEach(lyric => {
+            if (lyric.phraseTarget === undefined) {
+                lyric.phraseTarget = lyric.target || "";
+            }
+
+            if (!lyric.phraseTarget) {
+                delete lyric.target;
+            } else if (!mode.fullLine) {
+                lyric.target = lyric.phraseTarget;
+            } else {
+                lyric.target = mode.exact ? toStrictText(lyric.lyric) : TargetSelector.normalizePhrase(lyric.lyric);
+            }
+        });
+
+        return lyrics;
+    }
+
+    // Turn a key press into the character it types, or null if it isn't a typing key in this mode
+    function getTypedCharacter(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return null;
+        }
+
+        if (getSettings().exact) {
+            return event.key.length === 1 ? event.key : null;
+        }
+
+        return /^[a-zA-Z ]$/.test(event.key) ? event.key.toUpperCase() : null;
+    }
+
+    // Seconds to type a target - full-line modes stretch the difficulty's window for lines longer
+    // than a phrase, phrase mode keeps it as it is
+    function getTimeWindow(baseWindow, target) {
+        const mode = getSettings();
+        const lengthScale = mode.fullLine ? Math.max(1, (target || "").length / typingConfig.referenceLength) : 1;
+        return baseWindow * lengthScale * mode.timeScale;
+    }
+
+    // Share of a target's damage earned by the correct input typed before it failed (0 in phrase mode)
+    function getPartialCredit(target, input) {
+        if (!getSettings().partialDamage || !target || !input) {
+            return 0;
+        }
+
+        const typed = input.replace(/\s/g, '').length;
+        const total = target.replace(/\s/g, '').length;
+        return total > 0 ? Math.min(1, typed / total) : 0;
+    }
+
+    // Key the save data's records by, so each mode keeps its own high scores
+    // Phrase mode uses the plain difficulty name so existing records stay where they are
+    function getRecordKey(difficulty) {
+        return selectedMode === typingConfig.defaultMode ? difficulty : `${difficulty}-${selectedMode}`;
+    }
+
+    // Readable name for a record key ("hard-strict" -> "Hard (Strict)")
+    function describeRecordKey(key) {
+        const [difficulty, mode] = key.split('-');
+        const preset = window.Difficulty ? Difficulty.presets[difficulty] : null;
+        const difficultyLabel = preset ? preset.label : difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+        return typingModes[mode] ? `${difficultyLabel} (${typingModes[mode].label})` : difficultyLabel;
+    }
+
+    // Restore the last chosen typing mode
+    function loadMode() {
+        try {
+            const saved = localStorage.getItem(typingConfig.storageKey);
+            if (saved && typingModes[saved]) {
+                selectedMode = saved;
+            }
+        } catch (error) {
+            // Fall back to the default mode
+        }
+        return selectedMode;
+    }
+
+    loadMode();
+
+    // Export functions to be used in the main game
+    window.TypingModes = {
+        set: setMode,
+        get: getMode,
+        getSettings: getSettings,
+        applyMode: applyMode,
+        toStrictText: toStrictText,
+        getTypedCharacter: getTypedCharacter,
+        getTimeWindow: getTimeWindow,
+        getPartialCredit: getPartialCredit,
+        getRecordKey: getRecordKey,
+        describeRecordKey: describeRecordKey,
+        modes: typingModes,
+        config: typingConfig
+    };
+    GameHooks.register('TypingModes', window.TypingModes);
+})();